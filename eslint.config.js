@@ -26,4 +26,14 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // the mock backend runs in Node
+    files: ['mock/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
+  {
+    // tests run in jsdom under Node (vitest)
+    files: ['src/**/*.test.{js,jsx}', 'src/test/**/*.js'],
+    languageOptions: { globals: { ...globals.browser, ...globals.node } },
+  },
 ])
@@ -0,0 +1,310 @@
+// mock/server.js
+// Stand-in for the RAG backend so the UI can be run and poked at without it.
+//
+//   npm run mock            # listens on MOCK_PORT (default 4000)
+//
+// Sessions and messages live in memory. POST /chat answers with canned text
+// and sources; with `stream: true` it streams SSE. Put a scenario tag in the
+// message (or send an X-Mock-Scenario header) to script the stream:
+//   [slow]       chunks arrive 800 ms apart
+//   [malformed]  a broken block (bad JSON, unknown event, stray field) mid-stream
+//   [error]      an `error` event after a few chunks
+//   [drop]       the connection is cut mid-answer; reconnecting with
+//                Last-Event-ID resumes after the last event sent
+//   [fail]       500 before the stream starts
+// A `continuation: { text, messageId }` body extends that answer: the prompt
+// isn't stored as a question and the answer is saved as text + continuation.
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.MOCK_PORT) || 4000;
+const CHUNK_DELAY = 60;
+const SLOW_DELAY = 800;
+
+const sessions = new Map(); // id -> { id, title, createdAt, updatedAt, messages }
+const feedback = [];
+// answers being streamed, by message id, so a dropped stream can resume
+const streams = new Map();
+
+const SOURCES = [
+  {
+    title: "Getting started guide",
+    url: "https://example.com/docs/getting-started",
+    snippet: "Install the package, set the API key and call the client.",
+    score: 0.91,
+  },
+  {
+    title: "FAQ: rate limits",
+    url: "https://example.com/docs/faq#rate-limits",
+    snippet: "Requests are limited to 60 per minute per key.",
+    score: 0.78,
+  },
+];
+
+function answerFor(question) {
+  return (
+    `Here is a mock answer to **"${question.slice(0, 80)}"**.\n\n` +
+    "According to the getting started guide, you install the package and set the API key first [1]. " +
+    "Requests are rate limited, so batch them where possible [2].\n\n" +
+    "```js\nconst client = createClient({ apiKey });\nawait client.ask(\"hello\");\n```\n\n" +
+    "- Step one: install\n- Step two: configure\n- Step three: ask"
+  );
+}
+
+function chunksOf(text) {
+  return text.match(/\S+\s*/g) || [text];
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+const summary = (s) => ({
+  id: s.id,
+  title: s.title,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt,
+  messagesCount: s.messages.length,
+});
+
+function createSession(title = "", messages = []) {
+  const now = Date.now();
+  const s = {
+    id: randomUUID(),
+    title,
+    createdAt: now,
+    updatedAt: now,
+    messages: messages.map((m) => ({ id: randomUUID(), ts: now, sources: [], ...m })),
+  };
+  sessions.set(s.id, s);
+  return s;
+}
+
+// newest page first; `nextCursor` is the id of the oldest message sent
+function pageOf(messages, params) {
+  const limit = Number(params.get("limit")) || messages.length;
+  const before = params.get("before");
+  let end = messages.length;
+  if (before) {
+    end = messages.findIndex((m) => m.id === before);
+    if (end === -1) end = 0;
+  }
+  const start = Math.max(0, end - limit);
+  return {
+    messages: messages.slice(start, end),
+    nextCursor: start > 0 ? messages[start].id : null,
+  };
+}
+
+function scenarioOf(req, message) {
+  const header = req.headers["x-mock-scenario"];
+  if (header) return String(header);
+  return /\[(slow|malformed|error|drop|fail)\]/i.exec(message)?.[1].toLowerCase() || "";
+}
+
+async function handleChat(req, res, body) {
+  const message = String(body.message || "");
+  const scenario = scenarioOf(req, message);
+  if (scenario === "fail") return send(res, 500, { error: "Mock failure" });
+
+  let session = sessions.get(body.sessionId);
+  if (!session) session = createSession();
+  const lastEventId = req.headers["last-event-id"];
+
+  // a reconnect continues the interrupted answer instead of starting over
+  let stream = lastEventId && streams.get(lastEventId.split(":")[0]);
+  if (!stream) {
+    const { continuation } = body;
+    if (!continuation) {
+      session.messages.push({ id: randomUUID(), role: "user", text: message, ts: Date.now(), sources: [] });
+    }
+    const answer = answerFor(message.replace(/\[\w+\]\s*/g, ""));
+    stream = { id: randomUUID(), sessionId: session.id, answer, chunks: chunksOf(answer), dropped: false, continuation };
+    streams.set(stream.id, stream);
+  }
+  const start = lastEventId ? Number(lastEventId.split(":")[1]) + 1 : 0;
+
+  if (!body.stream) {
+    const done = finish(session, stream);
+    return send(res, 200, done);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const write = (event, data, seq) => {
+    if (seq !== undefined) res.write(`id: ${stream.id}:${seq}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  // the request has been read by now, so only the response sees the client go
+  res.on("close", () => (closed = true));
+
+  if (start === 0) {
+    res.write("retry: 1000\n\n");
+    write("session", { sessionId: session.id });
+    if (!session.title) {
+      session.title = message.replace(/\[\w+\]\s*/g, "").trim().slice(0, 40) || "Mock chat";
+      write("title", { title: session.title });
+    }
+  }
+
+  const t0 = Date.now();
+  for (let i = start; i < stream.chunks.length; i++) {
+    if (closed) return;
+    await sleep(scenario === "slow" ? SLOW_DELAY : CHUNK_DELAY);
+    write("message", { delta: stream.chunks[i] }, i);
+
+    if (scenario === "malformed" && i === 3) {
+      res.write("event: message\ndata: {not json\n\n");
+      res.write("event: mystery\ndata: ignored\n\n");
+      res.write("bogus-field: whatever\n: a comment line\n\n");
+    }
+    if (scenario === "error" && i === 5) {
+      write("error", { error: "Mock generation failure" });
+      streams.delete(stream.id);
+      return res.end();
+    }
+    if (scenario === "drop" && i === 6 && !stream.dropped) {
+      stream.dropped = true;
+      return res.destroy();
+    }
+  }
+
+  const done = finish(session, stream);
+  write("done", {
+    ...done,
+    timing: { retrievalMs: 42, generationMs: Date.now() - t0 },
+    usage: { promptTokens: 320, completionTokens: stream.chunks.length },
+  });
+  res.end();
+}
+
+function finish(session, stream) {
+  streams.delete(stream.id);
+  const { continuation } = stream;
+  // a continued answer that was stored before (it had finished) is replaced
+  const index = continuation ? session.messages.findIndex((m) => m.id === continuation.messageId) : -1;
+  const id = index === -1 ? stream.id : continuation.messageId;
+  const text = (continuation?.text || "") + stream.answer;
+  const msg = { id, role: "assistant", text, ts: Date.now(), sources: SOURCES };
+  if (index === -1) session.messages.push(msg);
+  else session.messages[index] = msg;
+  session.updatedAt = msg.ts;
+  return { sessionId: session.id, messageId: msg.id, answer: stream.answer, sources: SOURCES };
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+  const method = req.method;
+
+  if (parts[0] === "chat" && method === "POST") {
+    return handleChat(req, res, await readJson(req));
+  }
+
+  if (parts[0] === "sessions") {
+    if (parts.length === 1 && method === "GET") {
+      return send(res, 200, [...sessions.values()].map(summary));
+    }
+    if (parts.length === 1 && method === "POST") {
+      const body = await readJson(req);
+      return send(res, 201, summary(createSession(body.title || "", body.messages)));
+    }
+    const s = sessions.get(parts[1]);
+    if (!s) return send(res, 404, { error: "Session not found" });
+
+    if (parts.length === 2) {
+      if (method === "GET") return send(res, 200, summary(s));
+      if (method === "PATCH") {
+        const body = await readJson(req);
+        if (typeof body.title === "string") s.title = body.title;
+        s.updatedAt = Date.now();
+        return send(res, 200, summary(s));
+      }
+      if (method === "DELETE") {
+        sessions.delete(s.id);
+        return send(res, 204);
+      }
+    }
+    if (parts[2] === "messages") {
+      if (method === "GET") return send(res, 200, pageOf(s.messages, url.searchParams));
+      if (method === "DELETE") {
+        s.messages = [];
+        s.updatedAt = Date.now();
+        return send(res, 204);
+      }
+    }
+  }
+
+  if (parts[0] === "feedback" && method === "POST") {
+    feedback.push(await readJson(req));
+    return send(res, 201, { ok: true });
+  }
+
+  if (parts[0] === "search" && method === "GET") {
+    const q = (url.searchParams.get("q") || "").toLowerCase();
+    const results = [];
+    for (const s of sessions.values()) {
+      for (const m of s.messages) {
+        if (q && m.text.toLowerCase().includes(q)) {
+          results.push({ sessionId: s.id, messageId: m.id, role: m.role, text: m.text, ts: m.ts });
+        }
+      }
+    }
+    return send(res, 200, { results });
+  }
+
+  send(res, 404, { error: `No mock for ${method} ${url.pathname}` });
+}
+
+// Also used by the tests (src/test/), which start it on a free port
+export function createMockServer({ log = console.log } = {}) {
+  return http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, X-Request-ID, Last-Event-ID, X-Mock-Scenario"
+    );
+    if (req.method === "OPTIONS") return send(res, 204);
+    log(`${req.method} ${req.url}`);
+    route(req, res).catch((e) => {
+      console.error(e);
+      if (!res.headersSent) send(res, 500, { error: String(e.message || e) });
+      else res.end();
+    });
+  });
+}
+
+// Forget all sessions, feedback and streams in progress
+export function resetMock() {
+  sessions.clear();
+  feedback.length = 0;
+  streams.clear();
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockServer().listen(PORT, () => console.log(`mock backend on http://localhost:${PORT}`));
+}
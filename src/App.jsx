@@ -1,142 +1,94 @@
 // src/App.jsx
-import { useEffect, useState } from "react";
+import { useEffect } from "react";
 import ChatWindow from "./components/ChatWindow";
 import Sidebar from "./components/Sidebar/Sidebar";
+import Toasts from "./components/Toasts";
+import { useShortcuts } from "./hooks/useShortcuts";
+import { flushOutbox, stopStream } from "./store/chatActions";
+import { flushFeedback } from "./store/feedbackActions";
+import {
+  clearFocus,
+  clearHistory,
+  clearSessionsError,
+  createSession,
+  deleteSession,
+  importSession,
+  loadSessions,
+  renameSession,
+  selectSession,
+  useSessions,
+} from "./store/sessionStore";
 import "./styles/main.scss";
 
 export default function App() {
-  // sessions: array of { id, createdAt, messagesCount, updatedAt, title? }
-  const [sessions, setSessions] = useState([]);
-  const [selectedSessionId, setSelectedSessionId] = useState(
-    localStorage.getItem("sessionId") || null
-  );
-  const BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000';
-
-  useEffect(() => {
-    if (selectedSessionId) localStorage.setItem("sessionId", selectedSessionId);
-    else localStorage.removeItem("sessionId");
-  }, [selectedSessionId]);
+  // sessions: array of { id, createdAt, messagesCount, updatedAt, title }
+  const { sessions, selectedId, focus, loading, error } = useSessions();
 
-  // fetch sessions list (from backend) on mount
+  // load sessions (cache first, then backend) on mount, and again whenever
+  // the browser comes back online so local-only chats get synced and the
+  // outbox of queued messages (and answer feedback) is sent
   useEffect(() => {
-    (async () => {
-      try {
-        const r = await fetch(`${BASE}/sessions`);
-        if (!r.ok) throw new Error("Failed to fetch sessions");
-        const list = await r.json();
-        setSessions(Array.isArray(list) ? list : []);
-        // if no selectedSessionId, select first (if any)
-        if (!selectedSessionId && Array.isArray(list) && list.length > 0) {
-          setSelectedSessionId(list[0].id);
-        }
-      } catch (e) {
-        console.warn("Could not load sessions:", e.message || e);
-        setSessions([]); // fallback to empty
-      }
-    })();
-  }, []); // only once
-
-  // Handlers to pass down
+    const refresh = async () => {
+      await loadSessions();
+      flushOutbox();
+      flushFeedback();
+    };
+    refresh();
+    window.addEventListener("online", refresh);
+    return () => window.removeEventListener("online", refresh);
+  }, []);
 
-  // Add a session (optimistic if backend not available)
-  const createSession = async () => {
+  const handleCreate = async () => {
     try {
-      const resp = await fetch(`${BASE}/sessions`, {
-        method: "POST",
-      });
-      if (!resp.ok) throw new Error("create session failed");
-      const data = await resp.json();
-      const newSession = {
-        id: data.id,
-        createdAt: data.createdAt || Date.now(),
-        messagesCount: 0,
-        updatedAt: data.createdAt || Date.now(),
-      };
-      setSessions((s) => [newSession, ...s]);
-      setSelectedSessionId(newSession.id);
-      return newSession;
-    } catch (e) {
-      // Fallback: create local session id (uuid-like)
-      const fallbackId = `local-${Date.now()}`;
-      const newSession = {
-        id: fallbackId,
-        createdAt: Date.now(),
-        messagesCount: 0,
-        updatedAt: Date.now(),
-      };
-      setSessions((s) => [newSession, ...s]);
-      setSelectedSessionId(newSession.id);
-      console.warn(
-        "Session API create failed - using local session",
-        e.message || e
-      );
-      return newSession;
+      await createSession();
+    } catch {
+      // the store rolled back and exposes the error
     }
   };
 
-  const deleteSession = async (id) => {
-    // optimistic UI removal
-    setSessions((s) => s.filter((x) => x.id !== id));
-    if (selectedSessionId === id) {
-      setSelectedSessionId(null);
-    }
-    try {
-      await fetch(`${BASE}/sessions/${encodeURIComponent(id)}`, {
-        method: "DELETE",
-      });
-    } catch (e) {
-      console.warn("Failed to delete session on server", e.message || e);
-    }
+  // both are undoable for a few seconds; failures restore and show a toast
+  const handleDelete = (id) => {
+    stopStream(id);
+    deleteSession(id);
   };
 
-  // Called by ChatWindow when messages change (so sidebar can update counts)
-  const patchSessionMessages = (
-    sessionId,
-    { deltaCount = 0, updatedAt = Date.now() }
-  ) => {
-    setSessions((prev) =>
-      prev.map((s) => {
-        if (s.id !== sessionId) return s;
-        return {
-          ...s,
-          messagesCount: Math.max(0, (s.messagesCount || 0) + deltaCount),
-          updatedAt,
-        };
-      })
-    );
+  const handleClear = (id) => {
+    stopStream(id);
+    clearHistory(id);
   };
 
-  // Replace session info (useful when server returns authoritative session)
-  const replaceSession = (sessionId, newSessionFields) => {
-    setSessions((prev) => {
-      const found = prev.find((p) => p.id === sessionId);
-      if (!found) return [{ id: sessionId, ...newSessionFields }, ...prev];
-      return prev.map((p) =>
-        p.id === sessionId ? { ...p, ...newSessionFields } : p
-      );
-    });
-  };
+  // Ctrl+K new chat, Esc stops the answer in the open chat
+  useShortcuts({
+    onNewChat: handleCreate,
+    onStop: () => selectedId && stopStream(selectedId),
+  });
 
   return (
-    <div className="app-root" style={{ display: "flex", height: "100vh" }}>
+    <div className="app-root">
       <Sidebar
         sessions={sessions}
-        selectedSessionId={selectedSessionId}
-        onSelect={(id) => setSelectedSessionId(id)}
-        onCreate={createSession}
-        onDelete={deleteSession}
+        loading={loading}
+        error={error}
+        selectedSessionId={selectedId}
+        onSelect={selectSession}
+        onOpenResult={(r, query) =>
+          selectSession(r.sessionId, { messageId: r.messageId, query })
+        }
+        onCreate={handleCreate}
+        onDelete={handleDelete}
+        onClear={handleClear}
+        onRename={renameSession}
+        onImport={importSession}
+        onDismissError={clearSessionsError}
       />
-      <main style={{ flex: 1 }}>
+      <main className="app-main">
         <ChatWindow
-          sessionId={selectedSessionId}
-          onMessagesChange={(patch) =>
-            patchSessionMessages(selectedSessionId, patch)
-          }
-          replaceSession={(fields) =>
-            selectedSessionId && replaceSession(selectedSessionId, fields)
-          }
+          sessionId={selectedId}
+          focus={focus}
+          onFocusHandled={clearFocus}
         />
       </main>
+      <Toasts />
     </div>
   );
 }
@@ -0,0 +1,139 @@
+// src/App.test.jsx
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { configureAxe } from "vitest-axe";
+import { ask, backend, historyLoaded, lastAnswer } from "./test/helpers";
+
+async function renderApp() {
+  const { default: App } = await import("./App");
+  render(<App />);
+}
+
+// jsdom can't compute colours, so contrast is left to the theme tokens
+const axe = configureAxe({ rules: { "color-contrast": { enabled: false } } });
+
+const sidebar = () => screen.getByRole("complementary", { name: "Chats" });
+
+describe("App against the mock backend", () => {
+  it("opens the latest chat with its history", async () => {
+    const { id } = await backend("/sessions", {
+      method: "POST",
+      body: {
+        title: "Rate limits",
+        messages: [
+          { role: "user", text: "What are the limits?" },
+          { role: "assistant", text: "60 requests per minute." },
+        ],
+      },
+    });
+    await renderApp();
+
+    expect(await screen.findByText("60 requests per minute.")).toBeInTheDocument();
+    expect(within(sidebar()).getByRole("button", { current: true })).toHaveAttribute(
+      "data-id",
+      id
+    );
+  });
+
+  it("creates a chat, streams an answer and names the chat after the question", async () => {
+    await renderApp();
+    await screen.findByText("No chats");
+    fireEvent.click(within(sidebar()).getByRole("button", { name: "New" }));
+    const card = await within(sidebar()).findByRole("button", { current: true });
+    await historyLoaded(card.dataset.id);
+
+    ask("How do I install it?");
+
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    expect(lastAnswer()).toHaveTextContent("Step three: ask");
+    // the finished answer is announced to screen readers
+    expect(await screen.findByText(/^Answer: Here is a mock answer/)).toBeInTheDocument();
+    expect(card).toHaveTextContent("How do I install it?");
+    expect(card).toHaveTextContent("2 msgs");
+    const [session] = await backend("/sessions");
+    expect(session).toMatchObject({ title: "How do I install it?", messagesCount: 2 });
+  });
+
+  it("asks before /clear and sends /clear with more words as a question", async () => {
+    const { id } = await backend("/sessions", {
+      method: "POST",
+      body: { title: "Caching", messages: [{ role: "user", text: "Is there a cache?" }] },
+    });
+    await renderApp();
+    await historyLoaded(id);
+
+    ask("/clear the cache?");
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    expect(screen.getAllByRole("article", { name: "You" })[1]).toHaveTextContent(
+      "/clear the cache?"
+    );
+
+    ask("/clear");
+    const dialog = await screen.findByRole("dialog", { name: "Clear history?" });
+    expect(dialog).toHaveTextContent('All messages in "Caching" will be removed.');
+    fireEvent.click(within(dialog).getByRole("button", { name: "Cancel" }));
+    expect(screen.getByText("Is there a cache?")).toBeInTheDocument();
+
+    ask("/clear");
+    const again = await screen.findByRole("dialog", { name: "Clear history?" });
+    fireEvent.click(within(again).getByRole("button", { name: "Clear" }));
+    expect(await screen.findByText(/No messages yet/)).toBeInTheDocument();
+    expect(screen.queryByRole("dialog")).toBeNull();
+  });
+});
+
+describe("App accessibility", () => {
+  it("has no axe violations with chats loaded and an answer streamed", async () => {
+    await backend("/sessions", { method: "POST", body: { title: "Older chat" } });
+    const { id } = await backend("/sessions", { method: "POST", body: { title: "Open chat" } });
+    await renderApp();
+    await historyLoaded(id);
+    expect(await axe(document.body)).toHaveNoViolations();
+
+    ask("How do I install it?");
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    expect(await axe(document.body)).toHaveNoViolations();
+  });
+
+  it("starts a new chat with Ctrl+K", async () => {
+    await renderApp();
+    await screen.findByText("No chats");
+    fireEvent.keyDown(document.body, { key: "k", ctrlKey: true });
+
+    const card = await within(sidebar()).findByRole("button", { current: true });
+    expect(card).toHaveTextContent("New chat");
+    expect(await backend("/sessions")).toHaveLength(1);
+  });
+
+  it("stops the streaming answer with Esc", async () => {
+    const { id } = await backend("/sessions", { method: "POST", body: { title: "Chat" } });
+    await renderApp();
+    await historyLoaded(id);
+    ask("[slow] Take your time");
+    await waitFor(() => expect(lastAnswer()).toHaveTextContent("Here"));
+
+    fireEvent.keyDown(screen.getByRole("textbox", { name: "Message" }), { key: "Escape" });
+
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    expect(await screen.findByText("Answer stopped.")).toBeInTheDocument();
+    expect(lastAnswer()).not.toHaveTextContent("Step three");
+  });
+
+  it("leaves the stream alone when Esc closes the command list", async () => {
+    const { id } = await backend("/sessions", { method: "POST", body: { title: "Chat" } });
+    await renderApp();
+    await historyLoaded(id);
+    ask("[slow] Take your time");
+    await waitFor(() => expect(lastAnswer()).toHaveTextContent("Here"));
+
+    const box = screen.getByRole("textbox", { name: "Message" });
+    fireEvent.change(box, { target: { value: "/" } });
+    expect(screen.getByRole("listbox", { name: "Commands" })).toBeInTheDocument();
+    fireEvent.keyDown(box, { key: "Escape" });
+
+    expect(screen.queryByRole("listbox", { name: "Commands" })).toBeNull();
+    expect(lastAnswer()).toHaveAttribute("aria-busy", "true");
+    fireEvent.keyDown(box, { key: "Escape" });
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+  });
+});
@@ -1,125 +1,153 @@
 // src/api/chat.js
-import axios from "axios";
-
-const API_BASE = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+import { api, request } from "./client";
+import { readEventStream } from "./sse";
 
 /**
- * Non-streaming helper: simple POST that returns JSON
+ * Non-streaming helper: simple POST that returns JSON.
+ * `options` are extra body fields (topK, temperature, maxTokens, systemPrompt,
+ * and `continuation: { text, messageId }` when extending a cut-off answer
+ * rather than asking a new question).
  */
-export async function postChat({ message, sessionId }) {
-  const url = `${API_BASE}/chat`;
-  const resp = await axios.post(
-    url,
-    { message, sessionId, stream: false },
-    {
-      headers: { "Content-Type": "application/json" },
-    }
-  );
-  return resp.data; // { sessionId, answer, sources }
+export function postChat({ message, sessionId, options = {}, signal }) {
+  // answers can take a while to generate
+  return api.post(
+    "/chat",
+    { ...options, message, sessionId, stream: false },
+    { signal, timeout: 120000 }
+  ); // { sessionId, answer, sources }
 }
 
 /**
- * Streaming helper: POST then read response body as text stream and parse SSE-style events.
- * onEvent is called with { event, data } where data is parsed JSON if possible, else string.
- * Returns a promise that resolves to final done data (the parsed data object) or rejects on error.
+ * Turn a raw SSE message into a typed chat event. Payloads are JSON when
+ * possible; `message` events are always normalized to { delta } so callers
+ * don't have to care whether the backend sent an object or a bare string.
+ *
+ *   session -> { sessionId }
+ *   message -> { delta }
+ *   title   -> { title }   (server-generated session title)
+ *   done    -> { sessionId?, answer?, sources?, ... }
+ *   error   -> { error }
  */
-export async function postChatStream({ message, sessionId, onEvent, signal }) {
-  const url = `${API_BASE}/chat`;
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ message, sessionId, stream: true }),
-    signal,
-  });
+export function toChatEvent({ event, data, id }) {
+  let parsed = data;
+  try {
+    parsed = JSON.parse(data);
+  } catch {
+    // keep raw string
+  }
+  const isObj = parsed !== null && typeof parsed === "object";
 
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => "");
-    throw new Error(
-      `Stream request failed: ${resp.status} ${resp.statusText} ${txt}`
-    );
+  switch (event) {
+    case "session":
+      return { event, id, data: isObj ? parsed : { sessionId: String(parsed) } };
+    case "message": {
+      const delta = isObj
+        ? parsed.delta ?? parsed.data ?? parsed.text ?? parsed.token ?? ""
+        : parsed;
+      return { event, id, data: { delta: String(delta ?? "") } };
+    }
+    case "title":
+      return { event, id, data: { title: String(isObj ? parsed.title ?? "" : parsed) } };
+    case "done":
+      return { event, id, data: isObj ? parsed : { answer: String(parsed) } };
+    case "error":
+      return {
+        event,
+        id,
+        data: { error: String(isObj ? parsed.error ?? parsed.message ?? data : parsed) },
+      };
+    default:
+      return { event, id, data: parsed };
   }
+}
 
-  const reader = resp.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = "";
-  let doneData = null;
+// Reconnect policy for dropped streams. The server's `retry:` field, when
+// present, replaces BASE_DELAY as the starting point for the backoff.
+const MAX_RETRIES = 5;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 15000;
 
-  function parseChunkLines(text) {
-    // break into lines; SSE chunks come as lines "event: name\n data: payload\n\n"
-    const parts = text.split(/\r?\n/);
-    return parts;
-  }
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
-  // simple SSE parser state: collect last event/data until blank line
-  let currentEvent = null;
-  let currentDataLines = [];
+/**
+ * Streaming helper: POST /chat and read the response as an event stream.
+ * onEvent is called with typed events (see toChatEvent). `options` are extra
+ * body fields, as for postChat.
+ *
+ * If the connection drops after the server has sent at least one event id,
+ * the request is re-sent with a `Last-Event-ID` header (exponential backoff,
+ * up to MAX_RETRIES consecutive failures) so the server can resume where it
+ * stopped. Streams without ids are not resumable and fail as before.
+ * onStatus("reconnecting", { attempt, delay }) / onStatus("open") report the
+ * connection state so the UI can show it.
+ *
+ * Returns a promise that resolves to the `done` payload (or null) and rejects
+ * on HTTP errors, aborts, or once retries are exhausted.
+ */
+export async function postChatStream({
+  message,
+  sessionId,
+  options = {},
+  onEvent,
+  onStatus,
+  signal,
+}) {
+  let lastEventId = "";
+  let baseDelay = BASE_DELAY;
+  let failures = 0;
+  let doneData = null;
+  let finished = false;
 
   while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    buffer += decoder.decode(value, { stream: true });
+    try {
+      // HTTP errors reject with an ApiError carrying `status`
+      const resp = await request("/chat", {
+        method: "POST",
+        headers: lastEventId ? { "Last-Event-ID": lastEventId } : {},
+        body: { ...options, message, sessionId, stream: true },
+        signal,
+        raw: true,
+      });
+      onStatus?.("open");
 
-    // process any complete SSE messages (ending with double newline)
-    // We'll split on "\n\n" to get message blocks
-    let blocks = buffer.split(/\r?\n\r?\n/);
-    // keep last (possibly incomplete) in buffer
-    buffer = blocks.pop();
+      await readEventStream(
+        resp,
+        (raw) => {
+          failures = 0;
+          if (raw.id) lastEventId = raw.id;
+          const evt = toChatEvent(raw);
+          if (evt.event === "done") doneData = evt.data;
+          if (evt.event === "done" || evt.event === "error") finished = true;
+          onEvent?.(evt);
+        },
+        { onRetry: (ms) => (baseDelay = ms) }
+      );
 
-    for (const block of blocks) {
-      // parse lines
-      const lines = block
-        .split(/\r?\n/)
-        .map((l) => l.trim())
-        .filter(Boolean);
-      let evt = null;
-      let dataLines = [];
-      for (const line of lines) {
-        if (line.startsWith("event:")) {
-          evt = line.replace(/^event:\s*/, "");
-        } else if (line.startsWith("data:")) {
-          dataLines.push(line.replace(/^data:\s*/, ""));
-        }
-      }
-      const dataRaw = dataLines.join("\n");
-      let parsed = dataRaw;
-      try {
-        parsed = JSON.parse(dataRaw);
-      } catch (e) {
-        // keep raw string
-      }
-      // call callback
-      onEvent?.({ event: evt || "message", data: parsed });
-      if ((evt || "message") === "done") {
-        doneData = parsed;
-      }
-    }
-  }
+      // A resumable stream that ends without done/error was cut off.
+      if (finished || !lastEventId) return doneData;
+      throw new Error("Stream ended before completion");
+    } catch (err) {
+      const retriable =
+        lastEventId && !err.status && err.name !== "AbortError";
+      if (!retriable || failures >= MAX_RETRIES) throw err;
 
-  // If there was remaining buffered data after the stream ended, attempt parsing once more
-  if (buffer.trim()) {
-    const lines = buffer
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter(Boolean);
-    let evt = null;
-    let dataLines = [];
-    for (const line of lines) {
-      if (line.startsWith("event:")) {
-        evt = line.replace(/^event:\s*/, "");
-      } else if (line.startsWith("data:")) {
-        dataLines.push(line.replace(/^data:\s*/, ""));
-      }
-    }
-    const dataRaw = dataLines.join("\n");
-    let parsed = dataRaw;
-    try {
-      parsed = JSON.parse(dataRaw);
-    } catch (e) {
-      /* noop */
+      const delay = Math.min(MAX_DELAY, baseDelay * 2 ** failures);
+      failures++;
+      onStatus?.("reconnecting", { attempt: failures, delay });
+      await wait(delay, signal);
     }
-    onEvent?.({ event: evt || "message", data: parsed });
-    if ((evt || "message") === "done") doneData = parsed;
   }
-
-  return doneData;
 }
@@ -0,0 +1,167 @@
+// src/api/client.js
+
+/**
+ * The one HTTP client every API module goes through.
+ * - base URL from VITE_API_BASE_URL
+ * - per-request timeout (VITE_API_TIMEOUT_MS, default 15 s)
+ * - an X-Request-ID header on every request (kept across retries)
+ * - GET/HEAD retried on network errors, timeouts and 502/503/504
+ * - optional bearer token (setAuthToken, or VITE_API_TOKEN)
+ * - failures reject with ApiError; aborts by the caller's signal reject
+ *   with the usual AbortError
+ */
+export const API_BASE = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+
+const DEFAULT_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 15000;
+const GET_RETRIES = 2;
+const RETRY_DELAY = 500;
+const RETRY_STATUSES = new Set([502, 503, 504]);
+
+/**
+ * `status` is the HTTP status, or 0 when no response arrived (network error
+ * or timeout — see `code`). `body` is the parsed error body, if any.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, code, method, url, requestId } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.code = code || (status ? "http" : "network"); // "http" | "network" | "timeout"
+    this.method = method;
+    this.url = url;
+    this.requestId = requestId;
+  }
+}
+
+let authToken = import.meta.env.VITE_API_TOKEN || null;
+
+// `token` is a string, a function returning one, or null to stop sending it
+export function setAuthToken(token) {
+  authToken = token;
+}
+
+function requestId() {
+  return globalThis.crypto?.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readBody(resp) {
+  const text = await resp.text().catch(() => "");
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function errorMessage(resp, body) {
+  const detail =
+    body && typeof body === "object" ? body.error || body.message : body;
+  const base = `${resp.status} ${resp.statusText}`.trim();
+  return detail ? `${base}: ${String(detail).slice(0, 200)}` : base;
+}
+
+// One attempt: fetch with a timeout that is linked to the caller's signal.
+// `timeout` only covers the wait for the response headers; the caller's
+// signal stays linked after that so it can still cancel reading the body
+// (a streamed answer being stopped).
+async function attempt(url, init, { timeout, signal, meta }) {
+  const ac = new AbortController();
+  let timedOut = false;
+  const onAbort = () => ac.abort();
+  if (signal?.aborted) ac.abort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    ac.abort();
+  }, timeout);
+
+  try {
+    return await fetch(url, { ...init, signal: ac.signal });
+  } catch (err) {
+    signal?.removeEventListener("abort", onAbort);
+    if (timedOut) {
+      throw new ApiError(`Request timed out after ${timeout} ms`, { ...meta, code: "timeout" });
+    }
+    if (err.name === "AbortError") throw err;
+    throw new ApiError(err.message || "Network error", meta);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * request(path, options) -> parsed JSON body (null when empty).
+ * options: { method, body, headers, signal, timeout, retries, raw, keepalive }
+ * `body` objects are sent as JSON. With `raw: true` the Response itself is
+ * returned (after the status check), e.g. to read an event stream.
+ */
+export async function request(path, options = {}) {
+  const {
+    method = "GET",
+    body,
+    headers = {},
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    raw = false,
+    keepalive,
+  } = options;
+  const idempotent = method === "GET" || method === "HEAD";
+  const retries = options.retries ?? (idempotent ? GET_RETRIES : 0);
+  const url = `${API_BASE}${path}`;
+  const meta = { method, url, requestId: requestId() };
+
+  const token = typeof authToken === "function" ? authToken() : authToken;
+  const init = {
+    method,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      "X-Request-ID": meta.requestId,
+      ...headers,
+    },
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    keepalive,
+  };
+
+  for (let n = 0; ; n++) {
+    let resp;
+    try {
+      resp = await attempt(url, init, { timeout, signal, meta });
+    } catch (err) {
+      if (err instanceof ApiError && n < retries) {
+        await sleep(RETRY_DELAY * 2 ** n);
+        continue;
+      }
+      throw err;
+    }
+
+    if (!resp.ok) {
+      if (RETRY_STATUSES.has(resp.status) && n < retries) {
+        await sleep(RETRY_DELAY * 2 ** n);
+        continue;
+      }
+      const errBody = await readBody(resp);
+      throw new ApiError(errorMessage(resp, errBody), {
+        ...meta,
+        status: resp.status,
+        body: errBody,
+      });
+    }
+    if (raw) return resp;
+    return resp.status === 204 ? null : readBody(resp);
+  }
+}
+
+export const api = {
+  get: (path, options) => request(path, { ...options, method: "GET" }),
+  post: (path, body, options) => request(path, { ...options, method: "POST", body }),
+  patch: (path, body, options) => request(path, { ...options, method: "PATCH", body }),
+  delete: (path, options) => request(path, { ...options, method: "DELETE" }),
+};
@@ -0,0 +1,157 @@
+// src/api/client.test.js
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+let client;
+let fetchMock;
+
+const json = (status, body, statusText = "") =>
+  new Response(body === undefined ? null : JSON.stringify(body), { status, statusText });
+
+// a fetch that never answers, until its signal aborts
+const hang = (_url, { signal }) =>
+  new Promise((_resolve, reject) => {
+    signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+  });
+
+// run `promise` to completion, letting retry delays and timeouts pass
+async function settle(promise) {
+  const result = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await vi.runAllTimersAsync();
+  return result;
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers();
+  fetchMock = vi.fn();
+  vi.stubGlobal("fetch", fetchMock);
+  client = await import("./client");
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("request", () => {
+  it("prefixes the base URL and parses JSON", async () => {
+    fetchMock.mockResolvedValue(json(200, { ok: 1 }));
+    expect(await client.api.get("/sessions")).toEqual({ ok: 1 });
+    expect(fetchMock.mock.calls[0][0]).toBe(`${client.API_BASE}/sessions`);
+  });
+
+  it("sends object bodies as JSON", async () => {
+    fetchMock.mockResolvedValue(json(201, { id: "s1" }));
+    await client.api.post("/sessions", { title: "Hi" });
+    const [, init] = fetchMock.mock.calls[0];
+    expect(init.method).toBe("POST");
+    expect(init.body).toBe(JSON.stringify({ title: "Hi" }));
+    expect(init.headers["Content-Type"]).toBe("application/json");
+  });
+
+  it("resolves 204 with null", async () => {
+    fetchMock.mockResolvedValue(new Response(null, { status: 204 }));
+    expect(await client.api.delete("/sessions/s1")).toBeNull();
+  });
+
+  it("rejects a timeout with ApiError code timeout", async () => {
+    fetchMock.mockImplementation(hang);
+    const { error } = await settle(client.api.post("/chat", {}, { timeout: 100 }));
+    expect(error).toBeInstanceOf(client.ApiError);
+    expect(error).toMatchObject({ code: "timeout", status: 0, method: "POST" });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries a GET on 503 and keeps its X-Request-ID", async () => {
+    fetchMock
+      .mockResolvedValueOnce(json(503, { error: "busy" }))
+      .mockResolvedValueOnce(json(503, { error: "busy" }))
+      .mockResolvedValueOnce(json(200, []));
+    const { value } = await settle(client.api.get("/sessions"));
+    expect(value).toEqual([]);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    const ids = fetchMock.mock.calls.map(([, init]) => init.headers["X-Request-ID"]);
+    expect(ids[0]).toBeTruthy();
+    expect(new Set(ids).size).toBe(1);
+  });
+
+  it("gives up on a GET after the retries with the last error", async () => {
+    fetchMock.mockImplementation(async () => json(503, { error: "busy" }, "Service Unavailable"));
+    const { error } = await settle(client.api.get("/sessions"));
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(error).toMatchObject({
+      name: "ApiError",
+      status: 503,
+      code: "http",
+      body: { error: "busy" },
+      message: "503 Service Unavailable: busy",
+    });
+  });
+
+  it("retries a GET after a network error", async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError("fetch failed"))
+      .mockResolvedValueOnce(json(200, { ok: true }));
+    const { value } = await settle(client.api.get("/sessions"));
+    expect(value).toEqual({ ok: true });
+  });
+
+  it("does not retry a POST", async () => {
+    fetchMock.mockResolvedValue(json(503, { error: "busy" }));
+    const { error } = await settle(client.api.post("/chat", { message: "hi" }));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(error).toMatchObject({ status: 503 });
+  });
+
+  it("does not retry other HTTP errors", async () => {
+    fetchMock.mockResolvedValue(json(404, { error: "Session not found" }));
+    const { error } = await settle(client.api.get("/sessions/x"));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(error).toMatchObject({ status: 404, body: { error: "Session not found" } });
+  });
+
+  it("rejects a caller abort with AbortError, not ApiError", async () => {
+    fetchMock.mockImplementation(hang);
+    const ac = new AbortController();
+    const pending = settle(client.api.get("/sessions", { signal: ac.signal }));
+    ac.abort();
+    const { error } = await pending;
+    expect(error.name).toBe("AbortError");
+    expect(error).not.toBeInstanceOf(client.ApiError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets a caller abort after the headers cancel the body", async () => {
+    let fetchSignal;
+    fetchMock.mockImplementation(async (_url, init) => {
+      fetchSignal = init.signal;
+      return json(200, {});
+    });
+    const ac = new AbortController();
+    await client.request("/chat", { method: "POST", raw: true, signal: ac.signal });
+    expect(fetchSignal.aborted).toBe(false);
+    ac.abort();
+    expect(fetchSignal.aborted).toBe(true);
+  });
+
+  it("sends the bearer token from setAuthToken", async () => {
+    fetchMock.mockImplementation(async () => json(200, {}));
+    client.setAuthToken("abc");
+    await client.api.get("/sessions");
+    client.setAuthToken(() => "from-fn");
+    await client.api.get("/sessions");
+    client.setAuthToken(null);
+    await client.api.get("/sessions");
+
+    const auth = fetchMock.mock.calls.map(([, init]) => init.headers.Authorization);
+    expect(auth).toEqual(["Bearer abc", "Bearer from-fn", undefined]);
+  });
+
+  it("returns the Response itself with raw", async () => {
+    const resp = json(200, { ok: 1 });
+    fetchMock.mockResolvedValue(resp);
+    expect(await client.request("/chat", { method: "POST", raw: true })).toBe(resp);
+  });
+});
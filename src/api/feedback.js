@@ -0,0 +1,11 @@
+// src/api/feedback.js
+import { api } from "./client";
+
+/**
+ * Send answer feedback (POST /feedback):
+ *   { sessionId, messageId, rating: "up" | "down", reason?, comment?, ts }
+ * `reason` is one of "wrong_source" | "hallucination" | "incomplete".
+ */
+export function postFeedback(feedback) {
+  return api.post("/feedback", feedback);
+}
@@ -0,0 +1,36 @@
+// src/api/search.js
+import { api } from "./client";
+
+// null until we know; false once the backend answered 404 / 501
+let serverSearchAvailable = null;
+
+/**
+ * Server-side message search (GET /search?q=). Optional: backends without
+ * the endpoint resolve to [] and aren't asked again.
+ * Results: [{ sessionId, messageId, role, text, ts }]
+ */
+export async function searchMessages(query, { signal } = {}) {
+  if (serverSearchAvailable === false || !query.trim()) return [];
+  try {
+    const j = await api.get(`/search?q=${encodeURIComponent(query)}`, {
+      signal,
+      retries: 0,
+    });
+    serverSearchAvailable = true;
+    const list = Array.isArray(j) ? j : j.results || [];
+    return list.map((x) => ({
+      sessionId: String(x.sessionId),
+      messageId: x.messageId != null ? String(x.messageId) : null,
+      role: x.role || "assistant",
+      text: x.text || x.snippet || "",
+      ts: x.ts || Date.parse(x.createdAt) || 0,
+    }));
+  } catch (e) {
+    if (e.status === 404 || e.status === 501) {
+      serverSearchAvailable = false;
+    } else if (e.name !== "AbortError") {
+      console.warn("server search failed", e.message || e);
+    }
+    return [];
+  }
+}
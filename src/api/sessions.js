@@ -1,30 +1,81 @@
 // src/api/sessions.js
-const BASE = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+import { api } from "./client";
+
+/**
+ * Normalize a session from any backend shape into
+ * { id, title, createdAt, updatedAt, messagesCount }.
+ * (older endpoints used `msgCount` / `_id`, newer ones `messagesCount` / `id`)
+ */
+export function normalizeSession(raw) {
+  const createdAt = toTime(raw.createdAt) || Date.now();
+  return {
+    id: String(raw.id ?? raw._id ?? raw.sessionId),
+    title: raw.title || "",
+    createdAt,
+    updatedAt: toTime(raw.updatedAt) || createdAt,
+    messagesCount: Number(raw.messagesCount ?? raw.msgCount ?? 0) || 0,
+  };
+}
+
+function toTime(v) {
+  if (!v) return 0;
+  const t = typeof v === "number" ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : 0;
+}
+
+// `/sessions` has returned a bare array, { result: [] } and { sessions: [] }
+function unwrapList(j) {
+  if (Array.isArray(j)) return j;
+  return j?.result || j?.sessions || [];
+}
 
 export async function listSessions() {
-  const r = await fetch(`${BASE}/sessions`);
-  if (!r.ok) throw new Error("Failed to fetch sessions");
-  return r.json();
+  return unwrapList(await api.get("/sessions")).map(normalizeSession);
 }
 
-export async function createSession(title = "") {
-  const r = await fetch(`${BASE}/sessions`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ title }),
-  });
-  if (!r.ok) throw new Error("Failed to create session");
-  return r.json();
+// `messages` seeds the new session with history (used when syncing a chat
+// that was started offline); servers that don't support it ignore the field,
+// which shows in the returned messagesCount.
+export async function createSession(title = "", messages) {
+  return normalizeSession(
+    await api.post("/sessions", messages ? { title, messages } : { title })
+  );
 }
 
 export async function getSession(id) {
-  const r = await fetch(`${BASE}/sessions/${id}`);
-  if (!r.ok) throw new Error("Failed to fetch session");
-  return r.json();
+  return normalizeSession(await api.get(`/sessions/${encodeURIComponent(id)}`));
+}
+
+export const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * One page of a session's raw history, oldest message first:
+ *   -> { messages, nextCursor }
+ * Pages go newest to oldest: pass the previous page's `nextCursor` as
+ * `before` to get the messages preceding it. `nextCursor` is null once the
+ * start of the conversation is reached; servers without pagination answer
+ * with the whole history (a bare array or { messages }) in one go.
+ */
+export async function getSessionMessages(id, { before, limit = HISTORY_PAGE_SIZE } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (before) params.set("before", before);
+  const j = await api.get(`/sessions/${encodeURIComponent(id)}/messages?${params}`);
+  if (Array.isArray(j)) return { messages: j, nextCursor: null };
+  return { messages: j?.messages || [], nextCursor: j?.nextCursor ?? null };
+}
+
+// Partial update, e.g. { title }
+export function updateSession(id, fields) {
+  return api.patch(`/sessions/${encodeURIComponent(id)}`, fields);
+}
+
+// some deployments answer 204 No Content, which resolves to null.
+// `keepalive` lets the request outlive the page (deletes sent on unload).
+export function deleteSession(id, { keepalive } = {}) {
+  return api.delete(`/sessions/${encodeURIComponent(id)}`, { keepalive });
 }
 
-export async function deleteSession(id) {
-  const r = await fetch(`${BASE}/sessions/${id}`, { method: "DELETE" });
-  if (!r.ok) throw new Error("Failed to delete session");
-  return r.json();
+// Remove a session's messages but keep the session itself
+export function clearSessionMessages(id, { keepalive } = {}) {
+  return api.delete(`/sessions/${encodeURIComponent(id)}/messages`, { keepalive });
 }
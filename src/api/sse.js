@@ -0,0 +1,122 @@
+// src/api/sse.js
+
+/**
+ * Incremental Server-Sent Events parser following the WHATWG event-stream
+ * rules: LF / CR / CRLF line endings, `:` comment lines, multi-line `data:`,
+ * `id:` and `retry:` fields, and dispatch on a blank line.
+ *
+ * Usage:
+ *   const parser = createSSEParser((msg) => ...);  // msg = { event, data, id }
+ *   parser.feed(chunkText); ...; parser.end();
+ *
+ * `onRetry(ms)` is called whenever the server sends a valid `retry:` field.
+ */
+export function createSSEParser(onMessage, { onRetry } = {}) {
+  let buffer = "";
+  let eventType = "";
+  let dataLines = [];
+  let lastEventId = "";
+  let retry = null;
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onMessage({
+        event: eventType || "message",
+        data: dataLines.join("\n"),
+        id: lastEventId,
+      });
+    }
+    eventType = "";
+    dataLines = [];
+  }
+
+  function processLine(line) {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return; // comment / keep-alive
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "event":
+        eventType = value;
+        break;
+      case "data":
+        dataLines.push(value);
+        break;
+      case "id":
+        if (!value.includes("\0")) lastEventId = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) {
+          retry = Number(value);
+          onRetry?.(retry);
+        }
+        break;
+      default:
+        // unknown fields are ignored per spec
+        break;
+    }
+  }
+
+  function drainLines(final) {
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (ch !== "\n" && ch !== "\r") continue;
+      // a trailing CR may be the first half of a CRLF split across chunks
+      if (ch === "\r" && i === buffer.length - 1 && !final) break;
+      processLine(buffer.slice(start, i));
+      if (ch === "\r" && buffer[i + 1] === "\n") i++;
+      start = i + 1;
+    }
+    buffer = buffer.slice(start);
+  }
+
+  return {
+    feed(text) {
+      buffer += text;
+      drainLines(false);
+    },
+    // Flush at end of stream. Strictly the spec drops an unterminated event,
+    // but some backends omit the final blank line, so we dispatch it anyway.
+    end() {
+      drainLines(true);
+      if (buffer) processLine(buffer);
+      buffer = "";
+      dispatch();
+    },
+    get lastEventId() {
+      return lastEventId;
+    },
+    get retry() {
+      return retry;
+    },
+  };
+}
+
+/**
+ * Read a fetch Response body as an event stream.
+ * Resolves with { lastEventId, retry } once the body is exhausted; rejects if
+ * the connection drops mid-body.
+ */
+export async function readEventStream(response, onMessage, options) {
+  const parser = createSSEParser(onMessage, options);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    parser.feed(decoder.decode(value, { stream: true }));
+  }
+  parser.feed(decoder.decode());
+  parser.end();
+
+  return { lastEventId: parser.lastEventId, retry: parser.retry };
+}
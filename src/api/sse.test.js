@@ -0,0 +1,143 @@
+// src/api/sse.test.js
+import { describe, expect, it, vi } from "vitest";
+import { toChatEvent } from "./chat";
+import { createSSEParser, readEventStream } from "./sse";
+
+// Feed `chunks` through a parser; returns the dispatched messages
+function parse(chunks, options) {
+  const messages = [];
+  const parser = createSSEParser((m) => messages.push(m), options);
+  chunks.forEach((c) => parser.feed(c));
+  parser.end();
+  return { messages, parser };
+}
+
+// A stream as the backend sends it, cut at awkward places the way the
+// network delivered it
+const RECORDED = [
+  "retry: 1500\r\n\r\nid: a1:0\r\nevent: session\r\ndata: {\"sessionId\":\"s1\"}\r",
+  "\n\r\nid: a1:1\r\nevent: message\r\ndata: {\"delta\":\"Hel",
+  "lo\"}\r\n\r\n: keep-alive\r\n\r\n",
+  "id: a1:2\r\nevent: message\r\ndata: {\"delta\":\" world\"}\r\n\r",
+  "\nevent: done\r\ndata: {\"answer\":\"Hello world\",\"sources\":[]}\r\n\r\n",
+];
+
+describe("createSSEParser", () => {
+  it("parses a recorded CRLF stream split across chunks", () => {
+    const { messages, parser } = parse(RECORDED);
+    expect(messages.map(toChatEvent)).toEqual([
+      { event: "session", id: "a1:0", data: { sessionId: "s1" } },
+      { event: "message", id: "a1:1", data: { delta: "Hello" } },
+      { event: "message", id: "a1:2", data: { delta: " world" } },
+      { event: "done", id: "a1:2", data: { answer: "Hello world", sources: [] } },
+    ]);
+    expect(parser.retry).toBe(1500);
+  });
+
+  it("treats a CR ending one chunk and an LF starting the next as one line break", () => {
+    const { messages } = parse(["data: a\r", "\ndata: b\r", "\n\r", "\n"]);
+    expect(messages).toEqual([{ event: "message", data: "a\nb", id: "" }]);
+  });
+
+  it("accepts CR-only line endings", () => {
+    const { messages } = parse(["event: title\rdata: Hi\r\rdata: next\r\r"]);
+    expect(messages).toEqual([
+      { event: "title", data: "Hi", id: "" },
+      { event: "message", data: "next", id: "" },
+    ]);
+  });
+
+  it("joins multi-line data with newlines", () => {
+    const { messages } = parse(["data: line one\ndata:line two\ndata\ndata:  indented\n\n"]);
+    expect(messages[0].data).toBe("line one\nline two\n\n indented");
+  });
+
+  it("skips comment lines and unknown fields", () => {
+    const { messages } = parse([": comment\nfoo: bar\ndata: x\n: another\n\n:only a comment\n\n"]);
+    expect(messages).toEqual([{ event: "message", data: "x", id: "" }]);
+  });
+
+  it("ignores an id containing NUL and keeps the previous one", () => {
+    const { messages, parser } = parse(["id: ok\ndata: 1\n\nid: bad\0id\ndata: 2\n\n"]);
+    expect(messages.map((m) => m.id)).toEqual(["ok", "ok"]);
+    expect(parser.lastEventId).toBe("ok");
+  });
+
+  it("reports valid retry values and ignores others", () => {
+    const onRetry = vi.fn();
+    const { parser } = parse(["retry: 2000\n", "retry: soon\nretry: -5\nretry: 300\n\n"], {
+      onRetry,
+    });
+    expect(onRetry.mock.calls).toEqual([[2000], [300]]);
+    expect(parser.retry).toBe(300);
+  });
+
+  it("dispatches an unterminated final event at end of stream", () => {
+    const { messages } = parse(["event: done\ndata: {\"answer\":\"x\"}"]);
+    expect(messages).toEqual([{ event: "done", data: "{\"answer\":\"x\"}", id: "" }]);
+  });
+
+  it("does not dispatch events without data", () => {
+    const { messages } = parse(["event: message\n\nid: 7\n\n"]);
+    expect(messages).toEqual([]);
+  });
+});
+
+describe("readEventStream", () => {
+  it("reads a Response body and reports the last id and retry", async () => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        RECORDED.forEach((c) => controller.enqueue(encoder.encode(c)));
+        controller.close();
+      },
+    });
+    const onMessage = vi.fn();
+    const result = await readEventStream(new Response(body), onMessage);
+    expect(onMessage).toHaveBeenCalledTimes(4);
+    expect(result).toEqual({ lastEventId: "a1:2", retry: 1500 });
+  });
+
+  it("decodes multi-byte characters split across chunks", async () => {
+    const bytes = new TextEncoder().encode("data: héllo ✓\n\n");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 8));
+        controller.enqueue(bytes.slice(8));
+        controller.close();
+      },
+    });
+    const messages = [];
+    await readEventStream(new Response(body), (m) => messages.push(m));
+    expect(messages[0].data).toBe("héllo ✓");
+  });
+});
+
+describe("toChatEvent", () => {
+  it("normalizes message payloads to { delta }", () => {
+    const evt = (data) => toChatEvent({ event: "message", data, id: "" }).data;
+    expect(evt("{\"delta\":\"a\"}")).toEqual({ delta: "a" });
+    expect(evt("{\"token\":\"b\"}")).toEqual({ delta: "b" });
+    expect(evt("{\"text\":\"c\"}")).toEqual({ delta: "c" });
+    expect(evt("plain text")).toEqual({ delta: "plain text" });
+    expect(evt("{}")).toEqual({ delta: "" });
+  });
+
+  it("accepts bare strings for session, title, done and error", () => {
+    expect(toChatEvent({ event: "session", data: "s1" }).data).toEqual({ sessionId: "s1" });
+    expect(toChatEvent({ event: "title", data: "Hi" }).data).toEqual({ title: "Hi" });
+    expect(toChatEvent({ event: "done", data: "All done" }).data).toEqual({ answer: "All done" });
+    expect(toChatEvent({ event: "error", data: "boom" }).data).toEqual({ error: "boom" });
+    expect(toChatEvent({ event: "error", data: "{\"message\":\"bad\"}" }).data).toEqual({
+      error: "bad",
+    });
+  });
+
+  it("passes unknown events through with parsed data", () => {
+    expect(toChatEvent({ event: "usage", data: "{\"n\":1}", id: "9" })).toEqual({
+      event: "usage",
+      id: "9",
+      data: { n: 1 },
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// src/components/AnswerAnnouncer.jsx
+import { useEffect, useRef, useState } from "react";
+import { STATUS } from "../store/conversationReducer";
+import { toPlainText } from "../utils/markdown";
+
+const MAX_LENGTH = 1500;
+
+/**
+ * AnswerAnnouncer: visually hidden live region that tells screen readers
+ * when an answer has finished (reading out its text), failed or was
+ * stopped. Streaming deltas are never announced. Render one per session
+ * (key it by session id) so switching chats doesn't replay old answers.
+ */
+export default function AnswerAnnouncer({ messages }) {
+  const [announcement, setAnnouncement] = useState("");
+  // id -> status last seen, to catch the moment an answer ends; answers
+  // that were already finished when first seen (history) stay quiet
+  const seenRef = useRef(new Map());
+
+  useEffect(() => {
+    const seen = seenRef.current;
+    let next = null;
+    for (const m of messages) {
+      if (m.role !== "assistant") continue;
+      const prev = seen.get(m.id);
+      seen.set(m.id, m.status);
+      if (prev !== STATUS.PENDING && prev !== STATUS.STREAMING) continue;
+      if (m.status === STATUS.COMPLETE) {
+        const text = toPlainText(m.text);
+        next = `Answer: ${text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH)}…` : text}`;
+      } else if (m.status === STATUS.ERROR) {
+        next = `Answer failed: ${m.error || "unknown error"}`;
+      } else if (m.status === STATUS.STOPPED) {
+        next = "Answer stopped.";
+      }
+    }
+    if (next) setAnnouncement(next);
+  }, [messages]);
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {announcement}
+    </div>
+  );
+}
@@ -1,407 +1,262 @@
-import axios from "axios";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useChat } from "../hooks/useChat";
+import { useOnline } from "../hooks/useOnline";
+import { EXPORT_FORMATS, exportSession } from "../store/exportActions";
+import { createSession, useSessions } from "../store/sessionStore";
+import { showToast } from "../store/toastStore";
+import AnswerAnnouncer from "./AnswerAnnouncer";
+import Composer from "./Composer";
+import ConfirmDialog from "./ConfirmDialog";
+import ExportMenu from "./ExportMenu";
+import Message from "./Message";
+import MessageList from "./MessageList";
+import SessionStats from "./SessionStats";
+import SettingsDrawer from "./SettingsDrawer";
 
 /**
  * ChatWindow: streaming-aware chat UI.
  * - Expects `sessionId` prop (string). If null, will show "create/select" message.
- * - Uses fetch + readable stream to parse SSE events sent by backend.
+ * - Conversation state comes from useChat (hooks/useChat.js), which streams
+ *   answers through postChatStream (api/chat.js + api/sse.js).
  *
  * Backend SSE events expected:
  *  event: session  -> { sessionId: '...' }           (sent once at start)
  *  event: message  -> { delta: 'text chunk' }        (one or more)
  *  event: done     -> { sessionId, answer, sources } (final payload)
  *
- * Note: this component intentionally avoids blocking alerts on transient parse errors.
+ * Messages are windowed by MessageList, which also keeps the view on the
+ * newest answer unless the user has scrolled up. History loads a page at a
+ * time: the newest first, older ones as the user scrolls up. A page that
+ * fails to load shows an error with a retry button above the messages.
+ *
+ * `focus` ({ messageId, query }) scrolls to and highlights one message (search
+ * results); `onFocusHandled` is called once it has been shown, or once the
+ * whole history is loaded without it.
+ *
+ * Questions are typed in the Composer, which also takes slash commands
+ * (handled by handleCommand) and prompt templates. /clear asks first, like
+ * the sidebar's Clear.
+ *
+ * Finished answers are read out to screen readers by AnswerAnnouncer;
+ * streaming deltas are not.
+ *
+ * Note: this component intentionally avoids blocking alerts; problems are
+ * shown inline or as toasts.
  */
-export default function ChatWindow({ sessionId }) {
-  const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState("");
-  const [isStreaming, setIsStreaming] = useState(false);
-  const [streamIndicator, setStreamIndicator] = useState(false); // small dot/etc
-  const containerRef = useRef();
-  const streamingAbortController = useRef(null);
+export default function ChatWindow({ sessionId, focus, onFocusHandled }) {
+  const [highlightId, setHighlightId] = useState(null);
+  const [showStats, setShowStats] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // id of the chat /clear asked about; switching chats drops the question
+  const [confirmClear, setConfirmClear] = useState(null);
+  const listRef = useRef();
+  const {
+    messages,
+    isStreaming,
+    reconnecting,
+    loaded,
+    hasOlder,
+    paging,
+    pageError,
+    loadOlder,
+    retryHistory,
+    send,
+    stop,
+    continueAnswer,
+    regenerate,
+    retry,
+    discard,
+    edit,
+    switchVersion,
+    clear,
+  } = useChat(sessionId);
+  const online = useOnline();
+  const { sessions } = useSessions();
+  const title = sessions.find((s) => s.id === sessionId)?.title || "New chat";
 
-  const BASE = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
+  const ids = useMemo(() => messages.map((m) => m.id), [messages]);
 
-  // load session messages when sessionId changes
+  // jump to a search hit once its message is loaded, paging back if needed
   useEffect(() => {
-    let cancelled = false;
-    async function load() {
-      if (!sessionId) {
-        setMessages([]);
-        return;
-      }
-      try {
-        const resp = await axios.get(
-          `${BASE}/sessions/${encodeURIComponent(sessionId)}/messages`
-        );
-        const j = resp.data;
-        if (cancelled) return;
-        setMessages(j.messages || []);
-        // scroll to bottom after render
-        setTimeout(() => {
-          containerRef.current?.scrollTo?.(
-            0,
-            containerRef.current.scrollHeight
-          );
-        }, 50);
-      } catch (e) {
-        console.error("load messages err", e);
-        setMessages([]);
-      }
+    if (!focus) return;
+    const q = (focus.query || "").toLowerCase();
+    const target =
+      messages.find((m) => m.id === focus.messageId) ||
+      (q && messages.find((m) => m.text.toLowerCase().includes(q)));
+    if (target && listRef.current?.scrollToId(target.id)) {
+      setHighlightId(target.id);
+      onFocusHandled?.();
+    } else if (!target && loaded && !paging && !pageError) {
+      // with the whole history in, the hit is gone (deleted or cleared)
+      if (hasOlder) loadOlder();
+      else onFocusHandled?.();
     }
+  }, [messages, focus, onFocusHandled, loaded, hasOlder, paging, pageError, loadOlder]);
 
-    load();
-    return () => {
-      cancelled = true;
-    };
-  }, [sessionId]);
-
-  // helper to scroll to bottom
-  function scrollToBottom() {
-    setTimeout(() => {
-      try {
-        containerRef.current?.scrollTo?.({
-          top: containerRef.current.scrollHeight,
-          behavior: "smooth",
-        });
-      } catch (e) {
-        /* ignore */
-      }
-    }, 50);
-  }
-
-  // Safely append a message
-  function appendMessage(msg) {
-    setMessages((m) => [...m, msg]);
-    scrollToBottom();
-  }
+  // drop the search highlight after a moment
+  useEffect(() => {
+    if (!highlightId) return;
+    const t = setTimeout(() => setHighlightId(null), 2500);
+    return () => clearTimeout(t);
+  }, [highlightId]);
 
-  // Replace the last assistant message (used while streaming to update text)
-  function replaceLastAssistantText(newText) {
-    setMessages((m) => {
-      // find last assistant index
-      const idx = [...m]
-        .reverse()
-        .findIndex((x) => x.role === "assistant" || x.role === "system");
-      if (idx === -1) {
-        // no assistant message yet -> append one
-        return [...m, { role: "assistant", text: newText, ts: Date.now() }];
-      }
-      const pos = m.length - 1 - idx;
-      const copy = m.slice();
-      copy[pos] = { ...copy[pos], text: newText, ts: Date.now() };
-      return copy;
-    });
-    scrollToBottom();
+  function handleSend(text) {
+    if (!sessionId) return;
+    listRef.current?.scrollToBottom();
+    send(text);
   }
 
-  // Main send handler: uses streaming endpoint
-  async function handleSend() {
-    const text = input.trim();
-    if (!text) return;
-    if (!sessionId) {
-      alert("Please create/select a chat first.");
-      return;
-    }
-    // optimistic user append
-    appendMessage({ role: "user", text, ts: Date.now() });
-    setInput("");
-    setIsStreaming(true);
-    setStreamIndicator(true);
-
-    // append assistant placeholder
-    appendMessage({ role: "assistant", text: "", ts: Date.now() });
-
-    // Abort previous stream (if any)
-    if (streamingAbortController.current) {
-      try {
-        streamingAbortController.current.abort();
-      } catch (e) {}
-      streamingAbortController.current = null;
+  // slash commands typed in the composer
+  function handleCommand(name, arg) {
+    if (name === "new") {
+      // a failure shows up as the sidebar error
+      createSession().catch(() => {});
+    } else if (name === "clear") {
+      setConfirmClear(sessionId);
+    } else if (name === "export") {
+      const format = arg.toLowerCase() || "markdown";
+      if (EXPORT_FORMATS.some((f) => f.value === format)) exportSession(sessionId, format);
+      else showToast({ message: `Unknown export format "${arg}"`, kind: "error" });
+    } else if (name === "settings") {
+      setShowSettings(true);
     }
-    const ac = new AbortController();
-    streamingAbortController.current = ac;
-
-    try {
-      const resp = await fetch(`${BASE}/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ sessionId, message: text, stream: true }),
-        signal: ac.signal,
-      });
-
-      if (!resp.ok) {
-        const txt = await resp.text().catch(() => "");
-        // Show non-blocking error message as system message
-        replaceLastAssistantText("");
-        appendMessage({
-          role: "system",
-          text: `⚠️ Send failed: ${resp.status} ${resp.statusText} ${txt}`,
-          ts: Date.now(),
-        });
-        setIsStreaming(false);
-        setStreamIndicator(false);
-        return;
-      }
-
-      // read stream and parse SSE-like events
-      const reader = resp.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let assistantBuffer = "";
-
-      // Simple SSE parser: process message blocks separated by blank line
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-
-        // Split into complete blocks; the last element may be incomplete -> keep in buffer
-        const blocks = buffer.split(/\r?\n\r?\n/);
-        buffer = blocks.pop(); // leftover
-
-        for (const block of blocks) {
-          // each block could be lines like "event: message" and "data: {...}"
-          const lines = block
-            .split(/\r?\n/)
-            .map((l) => l.trim())
-            .filter(Boolean);
-          let evt = null;
-          const dataLines = [];
-          for (const line of lines) {
-            if (line.startsWith("event:")) {
-              evt = line.replace(/^event:\s*/, "");
-            } else if (line.startsWith("data:")) {
-              dataLines.push(line.replace(/^data:\s*/, ""));
-            } else {
-              // sometimes chunks may come without "event:" (treat as message data)
-              dataLines.push(line);
-            }
-          }
-          const rawData = dataLines.join("\n");
-          let parsed = rawData;
-          try {
-            parsed = JSON.parse(rawData);
-          } catch (e) {
-            // if not JSON, keep raw string
-            parsed = rawData;
-          }
-
-          const effectiveEvent = evt || "message";
-
-          // Handle events
-          if (effectiveEvent === "session") {
-            // optional: backend returns sessionId — could update local state or notify parent
-            // e.g. parsed.sessionId
-            // If you want to update local selection/storage, do it here.
-            // For now we just log.
-            // console.log("session event:", parsed);
-          } else if (effectiveEvent === "message") {
-            // parsed may be { delta: 'chunk' } or a string chunk
-            const delta =
-              typeof parsed === "object"
-                ? parsed.delta || parsed.data || ""
-                : parsed;
-            assistantBuffer += delta;
-            // update assistant bubble incrementally
-            replaceLastAssistantText(assistantBuffer);
-          } else if (effectiveEvent === "done") {
-            // parsed commonly contains final answer and maybe sources
-            const finalText =
-              typeof parsed === "object"
-                ? parsed.answer || parsed.text || assistantBuffer
-                : parsed;
-            assistantBuffer = finalText;
-            replaceLastAssistantText(assistantBuffer);
-            // optionally handle sources: parsed.sources
-          } else if (effectiveEvent === "error") {
-            // append system error info non-blocking
-            appendMessage({
-              role: "system",
-              text: `⚠️ ${parsed?.error || parsed}`,
-              ts: Date.now(),
-            });
-          } else {
-            // unknown event => append as system info
-            // appendMessage({ role: "system", text: `[${effectiveEvent}] ${JSON.stringify(parsed)}`, ts: Date.now() });
-          }
-        }
-      }
-
-      // after stream finished, if there is leftover buffer, try parse it
-      if (buffer.trim()) {
-        try {
-          // try parse remaining as one block
-          const lines = buffer
-            .split(/\r?\n/)
-            .map((l) => l.trim())
-            .filter(Boolean);
-          let evt = null;
-          const dataLines = [];
-          for (const line of lines) {
-            if (line.startsWith("event:")) evt = line.replace(/^event:\s*/, "");
-            else if (line.startsWith("data:"))
-              dataLines.push(line.replace(/^data:\s*/, ""));
-            else dataLines.push(line);
-          }
-          const raw = dataLines.join("\n");
-          let parsed = raw;
-          try {
-            parsed = JSON.parse(raw);
-          } catch (e) {}
-          const effectiveEvent = evt || "message";
-          if (effectiveEvent === "message") {
-            const delta =
-              typeof parsed === "object"
-                ? parsed.delta || parsed.data || ""
-                : parsed;
-            assistantBuffer += delta;
-            replaceLastAssistantText(assistantBuffer);
-          } else if (effectiveEvent === "done") {
-            const finalText =
-              typeof parsed === "object"
-                ? parsed.answer || parsed.text || assistantBuffer
-                : parsed;
-            assistantBuffer = finalText;
-            replaceLastAssistantText(assistantBuffer);
-          }
-        } catch (e) {
-          console.warn("leftover parse failed", e);
-        }
-      }
+  }
 
-      // done reading. mark not streaming
-      setIsStreaming(false);
-      setStreamIndicator(false);
-      streamingAbortController.current = null;
+  // an edited question is re-sent, so follow its answer like a new message
+  const handleEdit = useCallback(
+    (id, text) => {
+      listRef.current?.scrollToBottom();
+      edit(id, text);
+    },
+    [edit]
+  );
 
-      // scroll final content into view
-      scrollToBottom();
-    } catch (err) {
-      // network/abort/parsing error: do not show blocking alert — append system message
-      console.error("streaming send err", err);
-      replaceLastAssistantText("");
-      appendMessage({
-        role: "system",
-        text: `⚠️ Stream error: ${err.message || err}`,
-        ts: Date.now(),
-      });
-      setIsStreaming(false);
-      setStreamIndicator(false);
-      streamingAbortController.current = null;
-    }
-  }
+  const lastId = ids[ids.length - 1];
 
   return (
-    <div
-      style={{
-        display: "flex",
-        flexDirection: "column",
-        height: "100vh",
-        color: "white",
-      }}
-    >
-      <header style={{ padding: 16, fontSize: 24 }}>
-        RAG Chat{" "}
-        {streamIndicator ? (
-          <span style={{ marginLeft: 8, color: "#7ff" }}>●</span>
+    <section className="chat-root" aria-label="Conversation">
+      <header className="chat-header">
+        <h1 className="chat-title">RAG Chat</h1>
+        {isStreaming ? (
+          <span
+            className={reconnecting ? "stream-dot reconnecting" : "stream-dot"}
+            aria-hidden="true"
+          >
+            ●
+          </span>
         ) : null}
+        {!online && (
+          <span className="thinking-label chat-header-note">
+            offline — messages will be sent when you reconnect
+          </span>
+        )}
+        {reconnecting && (
+          <span className="thinking-label chat-header-note" role="status">
+            reconnecting…
+          </span>
+        )}
+        <span className="chat-header-actions">
+          <button
+            className="btn small link"
+            aria-haspopup="dialog"
+            onClick={() => setShowStats(true)}
+            disabled={!messages.length}
+          >
+            Stats
+          </button>
+          <ExportMenu sessionId={sessionId} disabled={!messages.length} />
+          <button
+            className="btn small link"
+            aria-expanded={showSettings}
+            onClick={() => setShowSettings((v) => !v)}
+            disabled={!sessionId}
+          >
+            ⚙ Settings
+          </button>
+        </span>
       </header>
+      {showSettings && sessionId && (
+        <SettingsDrawer sessionId={sessionId} onClose={() => setShowSettings(false)} />
+      )}
+      {showStats && (
+        <SessionStats messages={messages} onClose={() => setShowStats(false)} />
+      )}
+      {confirmClear && confirmClear === sessionId && (
+        <ConfirmDialog
+          title="Clear history?"
+          message={`All messages in "${title}" will be removed. The chat itself stays.`}
+          confirmLabel="Clear"
+          danger
+          onConfirm={() => {
+            setConfirmClear(null);
+            clear();
+          }}
+          onCancel={() => setConfirmClear(null)}
+        />
+      )}
 
-      <div
-        ref={containerRef}
-        style={{
-          flex: 1,
-          overflowY: "auto",
-          padding: 16,
-          background: "#041025",
-        }}
+      <MessageList
+        key={sessionId}
+        ref={listRef}
+        ids={ids}
+        onReachTop={hasOlder && !paging && !pageError ? loadOlder : undefined}
+        renderItem={(id) => (
+          <Message
+            sessionId={sessionId}
+            id={id}
+            // continuing only makes sense on the latest answer
+            onContinue={id === lastId && !isStreaming ? continueAnswer : undefined}
+            onRegenerate={isStreaming ? undefined : regenerate}
+            highlighted={id === highlightId}
+            onRetry={retry}
+            onDiscard={discard}
+            // editing or switching branches mid-stream would orphan the answer
+            onEdit={isStreaming ? undefined : handleEdit}
+            onSwitchVersion={isStreaming ? undefined : switchVersion}
+          />
+        )}
       >
         {!sessionId && (
-          <div style={{ color: "#888", textAlign: "center", marginTop: 40 }}>
+          <div className="empty">
             Please create/select a chat first.
           </div>
         )}
 
-        {messages.length === 0 && sessionId && (
-          <div style={{ color: "#888", textAlign: "center", marginTop: 40 }}>
-            No messages yet — say hi 👋
+        {pageError ? (
+          <div className="history-status error" role="alert">
+            {pageError.page === "older"
+              ? "Couldn't load older messages."
+              : messages.length
+                ? "Couldn't refresh this chat; showing the saved copy."
+                : "Couldn't load this chat."}
+            <button className="btn small" onClick={retryHistory}>
+              Retry
+            </button>
           </div>
-        )}
-
-        {messages.map((m, i) => (
-          <div
-            key={i}
-            style={{
-              display: "flex",
-              justifyContent: m.role === "user" ? "flex-end" : "flex-start",
-              marginBottom: 12,
-            }}
-          >
-            <div
-              style={{
-                background:
-                  m.role === "user"
-                    ? "#0b3353"
-                    : m.role === "assistant"
-                    ? "#031a2b"
-                    : "#2b2b2b",
-                color: "#fff",
-                padding: 12,
-                borderRadius: 8,
-                maxWidth: "78%",
-                whiteSpace: "pre-wrap",
-              }}
-            >
-              {m.role === "assistant" && m.text === "" && isStreaming ? (
-                <div
-                  style={{ display: "flex", alignItems: "center" }}
-                  role="status"
-                  aria-live="polite"
-                >
-                  <span className="thinking-label">Thinking…</span>
-                  <span className="spinner" />
-                </div>
-              ) : (
-                m.text
-              )}
-            </div>
+        ) : paging === "older" || (paging && !messages.length) ? (
+          <div className="history-status" role="status">
+            Loading {paging === "older" ? "older " : ""}messages…
           </div>
-        ))}
-      </div>
+        ) : hasOlder ? (
+          <div className="history-status">Scroll up for older messages</div>
+        ) : null}
 
-      <div
-        style={{
-          padding: 12,
-          borderTop: "1px solid rgba(255,255,255,0.03)",
-          display: "flex",
-          gap: 8,
-        }}
-      >
-        <input
-          className="text-input"
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={(e) => {
-            if (e.key === "Enter" && !e.shiftKey) {
-              e.preventDefault();
-              if (!isStreaming) handleSend();
-            }
-          }}
-          placeholder="Type your question..."
-          disabled={isStreaming}
-          style={{ flex: 1 }}
-        />
+        {messages.length === 0 && sessionId && !paging && !pageError && (
+          <div className="empty">
+            No messages yet — say hi 👋
+          </div>
+        )}
+      </MessageList>
 
-        <button
-          className="btn"
-          onClick={() => !isStreaming && handleSend()}
-          disabled={!input.trim() || isStreaming}
-        >
-          {isStreaming ? "Streaming..." : "Send"}
-        </button>
-      </div>
-    </div>
+      <Composer
+        disabled={!sessionId}
+        isStreaming={isStreaming}
+        onSend={handleSend}
+        onStop={stop}
+        onCommand={handleCommand}
+      />
+      {/* remounted per chat; sibling keys must differ from MessageList's */}
+      {sessionId && <AnswerAnnouncer key={`announce-${sessionId}`} messages={messages} />}
+    </section>
   );
 }
@@ -0,0 +1,77 @@
+// src/components/ChatWindow.test.jsx
+import { render, screen, waitFor } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { ask, backend, historyLoaded, lastAnswer } from "../test/helpers";
+
+describe("ChatWindow against the mock backend", () => {
+  let sessionId;
+
+  beforeEach(async () => {
+    sessionId = (await backend("/sessions", { method: "POST", body: { title: "Test" } })).id;
+    const { default: ChatWindow } = await import("./ChatWindow");
+    render(<ChatWindow sessionId={sessionId} />);
+    await historyLoaded(sessionId);
+  });
+
+  it("streams an answer into the conversation", async () => {
+    ask("How do I start?");
+
+    expect(screen.getByRole("article", { name: "You" })).toHaveTextContent("How do I start?");
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    expect(lastAnswer()).toHaveTextContent('Here is a mock answer to "How do I start?"');
+    expect(lastAnswer()).toHaveTextContent("Step three: ask");
+
+    const { messages } = await backend(`/sessions/${sessionId}/messages`);
+    expect(messages.map((m) => m.role)).toEqual(["user", "assistant"]);
+  });
+
+  it("resumes a dropped stream where it stopped", async () => {
+    ask("[drop] Resume me");
+
+    await screen.findByText("reconnecting…");
+    await waitFor(() => expect(lastAnswer()).toHaveAttribute("aria-busy", "false"));
+    const text = lastAnswer().textContent;
+    expect(text.match(/Here is a mock answer/g)).toHaveLength(1);
+    expect(text).toContain("Step three: ask");
+    expect(screen.queryByText("reconnecting…")).toBeNull();
+  });
+
+  it("shows an error event from the stream on the answer", async () => {
+    ask("[error] Break please");
+
+    await waitFor(() => expect(lastAnswer()).toHaveTextContent("Mock generation failure"));
+    // what arrived before the error stays
+    expect(lastAnswer()).toHaveTextContent("Here is a mock");
+  });
+
+  it("reports a request the server rejects as Send failed", async () => {
+    ask("[fail] Reject this");
+
+    await waitFor(() => expect(lastAnswer()).toHaveTextContent("Send failed"));
+    expect(lastAnswer()).toHaveTextContent("Mock failure");
+  });
+});
+
+describe("ChatWindow focus", () => {
+  it("lets go of a search hit that is no longer in the history", async () => {
+    const messages = Array.from({ length: 60 }, (_, i) => ({
+      role: i % 2 ? "assistant" : "user",
+      text: `Message ${i}`,
+    }));
+    const { id } = await backend("/sessions", { method: "POST", body: { messages } });
+    const { default: ChatWindow } = await import("./ChatWindow");
+    const onFocusHandled = vi.fn();
+    render(
+      <ChatWindow
+        sessionId={id}
+        focus={{ messageId: "deleted", query: "no longer here" }}
+        onFocusHandled={onFocusHandled}
+      />
+    );
+
+    await waitFor(() => expect(onFocusHandled).toHaveBeenCalledTimes(1));
+    // it paged through the whole history first
+    const { getConversationState } = await import("../store/conversationStore");
+    expect(getConversationState()[id].messages).toHaveLength(60);
+  });
+});
@@ -0,0 +1,88 @@
+// src/components/Citations.jsx
+import { useState } from "react";
+import { isWebUrl } from "../utils/citations";
+import Markdown from "./Markdown";
+
+/**
+ * Citations: assistant answer rendered as markdown, with inline [n] markers
+ * linked to a collapsible list of source cards.
+ * - `sources` is expected to be normalized (see utils/citations.js).
+ * - `idPrefix` must be unique per message so anchors don't collide.
+ */
+export default function Citations({ text, sources = [], idPrefix }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(null);
+
+  const cardId = (n) => `${idPrefix}-src-${n}`;
+
+  function jumpTo(n) {
+    setOpen(true);
+    setActive(n);
+    // wait for the list to expand before scrolling
+    setTimeout(() => {
+      document
+        .getElementById(cardId(n))
+        ?.scrollIntoView?.({ behavior: "smooth", block: "nearest" });
+    }, 0);
+  }
+
+  return (
+    <>
+      <Markdown text={text} sourceCount={sources.length} onCite={jumpTo} />
+
+      {sources.length > 0 && (
+        <div className="citations">
+          <button
+            type="button"
+            className="citations-toggle"
+            aria-expanded={open}
+            onClick={() => setOpen((o) => !o)}
+          >
+            {open ? "▾" : "▸"} Sources ({sources.length})
+          </button>
+
+          {open && (
+            <ol className="citation-list">
+              {sources.map((s, i) => (
+                <li
+                  key={i}
+                  id={cardId(i + 1)}
+                  className={
+                    active === i + 1 ? "citation-card active" : "citation-card"
+                  }
+                >
+                  <div className="citation-head">
+                    <span className="citation-index">[{i + 1}]</span>
+                    {isWebUrl(s.url) ? (
+                      <a
+                        className="source-link"
+                        href={s.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {s.title}
+                      </a>
+                    ) : (
+                      <span className="citation-title">{s.title}</span>
+                    )}
+                    {s.score != null && (
+                      <span className="citation-score">
+                        {s.score.toFixed(2)}
+                      </span>
+                    )}
+                  </div>
+                  {s.url && s.url !== s.title && (
+                    <div className="citation-url">{s.url}</div>
+                  )}
+                  {s.snippet && (
+                    <div className="citation-snippet">{s.snippet}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,27 @@
+// src/components/Citations.test.jsx
+import { fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import Citations from "./Citations";
+
+describe("Citations", () => {
+  it("links only http(s) sources", () => {
+    render(
+      <Citations
+        text="See [1] and [2]."
+        idPrefix="m1"
+        sources={[
+          { title: "Guide", url: "https://example.com/guide" },
+          { title: "Trap", url: "javascript:alert(1)" },
+        ]}
+      />
+    );
+    fireEvent.click(screen.getByRole("button", { name: /Sources/ }));
+
+    expect(screen.getByRole("link", { name: "Guide" })).toHaveAttribute(
+      "href",
+      "https://example.com/guide"
+    );
+    expect(screen.queryByRole("link", { name: "Trap" })).toBeNull();
+    expect(screen.getByText("Trap")).toBeInTheDocument();
+  });
+});
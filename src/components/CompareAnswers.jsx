@@ -0,0 +1,103 @@
+// src/components/CompareAnswers.jsx
+import { useMemo, useState } from "react";
+import { useFork, useMessages } from "../store/conversationStore";
+import { diffSources, isWebUrl } from "../utils/citations";
+import { diffWords } from "../utils/diff";
+import Modal from "./Modal";
+
+/**
+ * CompareAnswers: side-by-side diff of two regenerated answers at branch
+ * point `forkId` — the text word by word, plus which sources each answer
+ * used. Defaults to the shown answer against the one before it.
+ */
+export default function CompareAnswers({ sessionId, forkId, onClose }) {
+  const fork = useFork(sessionId, forkId);
+  const messages = useMessages(sessionId);
+
+  // the shown version lives in `messages`; its slot in the fork may be stale
+  const answers = useMemo(() => {
+    if (!fork) return [];
+    const live = messages.find((m) => m.forkId === forkId);
+    return fork.versions.map((v, i) => (i === fork.active ? live : v[0]));
+  }, [fork, messages, forkId]);
+
+  const active = fork?.active ?? 0;
+  const [left, setLeft] = useState(active > 0 ? active - 1 : 0);
+  const [right, setRight] = useState(active > 0 ? active : 1);
+
+  const a = answers[left];
+  const b = answers[right];
+  const runs = useMemo(() => diffWords(a?.text, b?.text), [a, b]);
+  const sources = useMemo(() => diffSources(a?.sources, b?.sources), [a, b]);
+
+  if (answers.length < 2) return null;
+
+  const picker = (value, onChange) => (
+    <select className="export-menu" value={value} onChange={(e) => onChange(Number(e.target.value))}>
+      {answers.map((_, i) => (
+        <option key={i} value={i}>
+          Answer {i + 1}
+          {i === active ? " (shown)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <Modal title="Compare answers" onClose={onClose} wide>
+      <div className="compare-grid">
+        <div className="compare-col">
+          {picker(left, setLeft)}
+          <div className="compare-text">
+            {runs.map((r, i) =>
+              r.type === "added" ? null : (
+                <span key={i} className={r.type === "removed" ? "diff-removed" : undefined}>
+                  {r.text}
+                </span>
+              )
+            )}
+          </div>
+          <SourceList title="Only here" items={sources.onlyA} kind="removed" />
+        </div>
+        <div className="compare-col">
+          {picker(right, setRight)}
+          <div className="compare-text">
+            {runs.map((r, i) =>
+              r.type === "removed" ? null : (
+                <span key={i} className={r.type === "added" ? "diff-added" : undefined}>
+                  {r.text}
+                </span>
+              )
+            )}
+          </div>
+          <SourceList title="Only here" items={sources.onlyB} kind="added" />
+        </div>
+      </div>
+      <SourceList title="Sources used by both" items={sources.both} />
+    </Modal>
+  );
+}
+
+function SourceList({ title, items, kind }) {
+  if (!items.length) return null;
+  return (
+    <div className="compare-sources">
+      <div className="compare-sources-title">
+        {title} ({items.length})
+      </div>
+      <ul>
+        {items.map((s, i) => (
+          <li key={i} className={kind ? `diff-${kind}` : undefined}>
+            {isWebUrl(s.url) ? (
+              <a href={s.url} target="_blank" rel="noopener noreferrer">
+                {s.title}
+              </a>
+            ) : (
+              s.title
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+// src/components/Composer.jsx
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import PromptTemplates from "./PromptTemplates";
+
+const COMMANDS = [
+  { name: "new", hint: "Start a new chat" },
+  { name: "clear", hint: "Clear this chat's history" },
+  { name: "export", args: "[markdown|json|html]", hint: "Download this chat" },
+  { name: "settings", hint: "Open chat settings" },
+];
+
+// "/exp" -> commands starting with "exp"; null once it isn't a bare command
+function matchCommands(text) {
+  const m = /^\/(\w*)$/.exec(text);
+  return m ? COMMANDS.filter((c) => c.name.startsWith(m[1].toLowerCase())) : null;
+}
+
+// "/export json" -> { name: "export", arg: "json" } for known commands; a
+// command that takes no argument only counts when bare ("/clear the cache?"
+// is a question)
+function parseCommand(text) {
+  const m = /^\/(\w+)(?:\s+(\S.*))?$/.exec(text.trim());
+  const command = m && COMMANDS.find((c) => c.name === m[1].toLowerCase());
+  if (!command || (m[2] && !command.args)) return null;
+  return { name: command.name, arg: m[2]?.trim() || "" };
+}
+
+/**
+ * Composer: the message box under the chat. The textarea grows with its
+ * content; Enter sends, Shift+Enter starts a new line.
+ * - a message that is a slash command (/new, /clear, /export [format],
+ *   /settings) goes to `onCommand(name, arg)` instead of `onSend(text)`;
+ *   typing "/" lists the commands (arrows + Enter/Tab to pick one)
+ * - "Templates" opens the prompt library; a filled-in template is put in
+ *   the box for a last look before sending
+ * While `isStreaming` the box stays editable but Send becomes Stop.
+ */
+export default function Composer({ disabled, isStreaming, onSend, onStop, onCommand }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const inputRef = useRef(null);
+  // focus the box once the template dialog is gone (it restores focus to
+  // its opener when it unmounts)
+  const refocusRef = useRef(false);
+
+  const suggestions = dismissed ? null : matchCommands(text);
+  const open = !!suggestions?.length;
+  const selected = open ? suggestions[Math.min(active, suggestions.length - 1)] : null;
+
+  // grow with the content, up to the max-height set in CSS
+  useLayoutEffect(() => {
+    const el = inputRef.current;
+    if (!el) return;
+    el.style.height = "auto";
+    el.style.height = `${el.scrollHeight}px`;
+  }, [text]);
+
+  useEffect(() => {
+    if (!showTemplates && refocusRef.current) {
+      refocusRef.current = false;
+      inputRef.current?.focus();
+    }
+  }, [showTemplates]);
+
+  function change(value) {
+    setText(value);
+    setActive(0);
+    setDismissed(false);
+  }
+
+  function runCommand(name, arg = "") {
+    change("");
+    onCommand?.(name, arg);
+  }
+
+  function submit() {
+    const value = text.trim();
+    if (!value || disabled) return;
+    const command = parseCommand(value);
+    if (command) return runCommand(command.name, command.arg);
+    if (isStreaming) return;
+    change("");
+    onSend(value);
+  }
+
+  function handleKeyDown(e) {
+    if (open) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActive((i) => (i + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if ((e.key === "Enter" && !e.shiftKey) || e.key === "Tab") {
+        e.preventDefault();
+        runCommand(selected.name);
+        return;
+      }
+      if (e.key === "Escape") {
+        e.stopPropagation(); // closing the list shouldn't also stop an answer
+        setDismissed(true);
+        return;
+      }
+    }
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      submit();
+    }
+  }
+
+  function insertTemplate(value) {
+    refocusRef.current = true;
+    setShowTemplates(false);
+    change(value);
+  }
+
+  return (
+    <div className="chat-input composer">
+      {open && (
+        <ul className="command-menu" id="composer-commands" role="listbox" aria-label="Commands">
+          {suggestions.map((c) => (
+            <li
+              key={c.name}
+              id={`composer-command-${c.name}`}
+              role="option"
+              aria-selected={c === selected}
+              className={c === selected ? "command-option active" : "command-option"}
+              // keep focus in the textarea
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => runCommand(c.name)}
+            >
+              <span className="command-name">
+                /{c.name}
+                {c.args && <span className="command-args"> {c.args}</span>}
+              </span>
+              <span className="command-hint">{c.hint}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <textarea
+        ref={inputRef}
+        className="text-input composer-input"
+        rows={1}
+        aria-label="Message"
+        aria-autocomplete="list"
+        aria-controls={open ? "composer-commands" : undefined}
+        aria-activedescendant={selected ? `composer-command-${selected.name}` : undefined}
+        value={text}
+        onChange={(e) => change(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={
+          disabled ? "Create or select a chat first" : "Type your question… (/ for commands)"
+        }
+        disabled={disabled}
+      />
+      <button
+        className="btn link"
+        aria-haspopup="dialog"
+        onClick={() => setShowTemplates(true)}
+        disabled={disabled}
+      >
+        Templates
+      </button>
+
+      {isStreaming ? (
+        <button
+          className="btn danger"
+          title="Stop (Esc)"
+          aria-keyshortcuts="Escape"
+          onClick={onStop}
+        >
+          Stop
+        </button>
+      ) : (
+        <button className="btn" onClick={submit} disabled={!text.trim() || disabled}>
+          Send
+        </button>
+      )}
+
+      {showTemplates && (
+        <PromptTemplates onInsert={insertTemplate} onClose={() => setShowTemplates(false)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// src/components/ConfirmDialog.jsx
+import Modal from "./Modal";
+
+/**
+ * ConfirmDialog: yes/no question in a Modal, used instead of window.confirm.
+ * `danger` styles the confirm button for destructive actions.
+ */
+export default function ConfirmDialog({
+  title,
+  message,
+  confirmLabel = "OK",
+  danger,
+  onConfirm,
+  onCancel,
+}) {
+  return (
+    <Modal title={title} onClose={onCancel}>
+      <p className="confirm-message">{message}</p>
+      <div className="confirm-actions">
+        <button className="btn small link" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className={danger ? "btn small danger" : "btn small"}
+          data-autofocus
+          onClick={onConfirm}
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,29 @@
+// src/components/ExportMenu.jsx
+import { EXPORT_FORMATS, exportSession } from "../store/exportActions";
+
+/**
+ * ExportMenu: a compact "Export…" picker for one session. Choosing a format
+ * downloads the file and resets the picker. `label` is its accessible name.
+ */
+export default function ExportMenu({ sessionId, disabled, label = "Export chat" }) {
+  return (
+    <select
+      className="export-menu"
+      aria-label={label}
+      value=""
+      disabled={disabled || !sessionId}
+      onClick={(e) => e.stopPropagation()}
+      onChange={(e) => {
+        const format = e.target.value;
+        if (format) exportSession(sessionId, format);
+      }}
+    >
+      <option value="">Export…</option>
+      {EXPORT_FORMATS.map((f) => (
+        <option key={f.value} value={f.value}>
+          {f.label}
+        </option>
+      ))}
+    </select>
+  );
+}
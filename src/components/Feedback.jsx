@@ -0,0 +1,91 @@
+// src/components/Feedback.jsx
+import { useState } from "react";
+import { FEEDBACK_REASONS, rateMessage } from "../store/feedbackActions";
+
+const STATUS_LABEL = {
+  sending: "sending…",
+  queued: "will send when online",
+  failed: "couldn't send",
+};
+
+/**
+ * Feedback: thumbs up / down on an assistant message. Picking a thumb opens
+ * a small form for an optional reason and comment before it is sent.
+ */
+export default function Feedback({ sessionId, message }) {
+  const [draft, setDraft] = useState(null); // { rating, reason, comment }
+  const current = message.feedback;
+
+  function submit(e) {
+    e.preventDefault();
+    rateMessage(sessionId, message.id, draft);
+    setDraft(null);
+  }
+
+  const thumb = (rating, label, icon) => {
+    const chosen = (draft?.rating || current?.rating) === rating;
+    return (
+      <button
+        className={chosen ? "btn small link feedback-on" : "btn small link"}
+        aria-label={label}
+        aria-pressed={chosen}
+        title={label}
+        onClick={() =>
+          setDraft({
+            rating,
+            reason: current?.rating === rating ? current.reason : null,
+            comment: current?.rating === rating ? current.comment : "",
+          })
+        }
+      >
+        {icon}
+      </button>
+    );
+  };
+
+  return (
+    <span className="feedback">
+      {thumb("up", "Good answer", "👍")}
+      {thumb("down", "Bad answer", "👎")}
+      {current && !draft && STATUS_LABEL[current.status] && (
+        <span className="msg-status">{STATUS_LABEL[current.status]}</span>
+      )}
+
+      {draft && (
+        <form className="feedback-form" onSubmit={submit}>
+          <div className="feedback-reasons" role="radiogroup" aria-label="Reason">
+            {FEEDBACK_REASONS.map((r) => (
+              <button
+                key={r.value}
+                type="button"
+                role="radio"
+                aria-checked={draft.reason === r.value}
+                className={draft.reason === r.value ? "chip selected" : "chip"}
+                onClick={() =>
+                  setDraft({ ...draft, reason: draft.reason === r.value ? null : r.value })
+                }
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="text-input"
+            rows={2}
+            placeholder="Comment (optional)"
+            value={draft.comment}
+            onChange={(e) => setDraft({ ...draft, comment: e.target.value })}
+          />
+          <div className="msg-stopped">
+            <button className="btn small" type="submit">
+              Send feedback
+            </button>
+            <button className="btn small" type="button" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </span>
+  );
+}
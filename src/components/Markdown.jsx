@@ -0,0 +1,92 @@
+// src/components/Markdown.jsx
+import hljs from "highlight.js/lib/common";
+import "highlight.js/styles/github-dark.css";
+import { memo, useMemo, useState } from "react";
+import { renderMarkdown, splitBlocks } from "../utils/markdown";
+
+/**
+ * Markdown: safe, incremental renderer for assistant answers.
+ * The text is split into top-level blocks and each block is memoized, so a
+ * streaming delta only re-parses the last (still growing) block and finished
+ * blocks keep their DOM untouched — no flicker while tokens arrive.
+ *
+ * Clicking an inline [n] citation calls `onCite(n)`.
+ */
+export default function Markdown({ text, sourceCount = 0, onCite }) {
+  const blocks = useMemo(() => splitBlocks(text), [text]);
+
+  function handleClick(e) {
+    const marker = e.target.closest?.("[data-cite]");
+    if (!marker) return;
+    e.preventDefault();
+    onCite?.(Number(marker.dataset.cite));
+  }
+
+  return (
+    <div className="markdown" onClick={handleClick}>
+      {blocks.map((b, i) =>
+        b.type === "code" ? (
+          <CodeBlock key={i} lang={b.lang} code={b.code} closed={b.closed} />
+        ) : (
+          <MarkdownBlock key={i} text={b.text} sourceCount={sourceCount} />
+        )
+      )}
+    </div>
+  );
+}
+
+const MarkdownBlock = memo(function MarkdownBlock({ text, sourceCount }) {
+  const html = useMemo(
+    () => renderMarkdown(text, sourceCount),
+    [text, sourceCount]
+  );
+  return <div dangerouslySetInnerHTML={{ __html: html }} />;
+});
+
+const CodeBlock = memo(function CodeBlock({ lang, code, closed }) {
+  const [copied, setCopied] = useState(false);
+
+  // hljs output is escaped, so it is safe to inject. Auto-detection is costly,
+  // so it only runs once the fence is closed.
+  const html = useMemo(() => {
+    if (lang && hljs.getLanguage(lang)) {
+      return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+    }
+    if (closed) return hljs.highlightAuto(code).value;
+    return escapeHtml(code);
+  }, [lang, code, closed]);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.warn("copy failed", e);
+    }
+  }
+
+  return (
+    <div className="code-block">
+      <div className="code-block-head">
+        <span>{lang || "code"}</span>
+        <button type="button" className="code-copy" onClick={copy}>
+          {copied ? "Copied" : "Copy"}
+        </button>
+      </div>
+      <pre>
+        <code
+          className={`hljs${lang ? ` language-${lang}` : ""}`}
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      </pre>
+    </div>
+  );
+});
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -1,13 +1,196 @@
 // src/components/Message.jsx
-import React from "react";
+import { memo, useState } from "react";
+import { STATUS } from "../store/conversationReducer";
+import { useFork, useMessage } from "../store/conversationStore";
+import Citations from "./Citations";
+import CompareAnswers from "./CompareAnswers";
+import Feedback from "./Feedback";
+import MessageDetails from "./MessageDetails";
+
+/**
+ * Message: one chat bubble, read straight from the conversation store so a
+ * streaming delta only re-renders the message it belongs to.
+ * `onContinue` / `onRegenerate` are passed only when those actions apply;
+ * `onRetry` / `onDiscard` show up on user messages waiting in the outbox.
+ * `onEdit(id, text)` re-asks an edited question on a new branch; messages
+ * that start a branch get version arrows wired to `onSwitchVersion`, and
+ * regenerated answers can be compared side by side. Finished answers can
+ * be rated (components/Feedback.jsx). Each message is an <article> labelled
+ * with its author, busy while the answer is still coming in.
+ */
+export default memo(function Message({
+  sessionId,
+  id,
+  onContinue,
+  onRegenerate,
+  onRetry,
+  onDiscard,
+  onEdit,
+  onSwitchVersion,
+  highlighted,
+}) {
+  const m = useMessage(sessionId, id);
+  const [draft, setDraft] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  if (!m) return null;
+
+  const editing = draft !== null;
+  const canEdit = m.role === "user" && !editing && !!onEdit;
+  const canRegenerate =
+    !!onRegenerate &&
+    m.role === "assistant" &&
+    [STATUS.COMPLETE, STATUS.STOPPED, STATUS.ERROR].includes(m.status);
+  const canRate =
+    m.role === "assistant" &&
+    !!m.text &&
+    (m.status === STATUS.COMPLETE || m.status === STATUS.STOPPED);
+  function saveEdit() {
+    const text = draft.trim();
+    setDraft(null);
+    if (text && text !== m.text) onEdit?.(m.id, text);
+  }
 
-export default function Message({ role, text }) {
-  const cls = role === "user" ? "msg user" : "msg assistant";
   return (
-    <div className={cls}>
+    <article
+      id={`msg-${m.id}`}
+      className={`msg ${m.role}${highlighted ? " msg-highlight" : ""}`}
+      aria-label={m.role === "user" ? "You" : m.role === "assistant" ? "Assistant" : m.role}
+      // half-written answers aren't read out; AnswerAnnouncer reads the result
+      aria-busy={m.status === STATUS.PENDING || m.status === STATUS.STREAMING}
+    >
       <div className="msg-body">
-        <pre style={{whiteSpace: "pre-wrap"}}>{text}</pre>
+        {m.role === "assistant" && m.status === STATUS.PENDING ? (
+          <div className="msg-thinking" role="status" aria-live="polite">
+            <span className="thinking-label">Thinking…</span>
+            <span className="spinner" />
+          </div>
+        ) : m.role === "assistant" ? (
+          <Citations text={m.text} sources={m.sources} idPrefix={`msg-${m.id}`} />
+        ) : editing ? (
+          <div className="msg-edit">
+            <textarea
+              className="text-input"
+              autoFocus
+              rows={Math.min(8, draft.split("\n").length + 1)}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  saveEdit();
+                } else if (e.key === "Escape") {
+                  setDraft(null);
+                }
+              }}
+            />
+            <div className="msg-stopped">
+              <button className="btn small" onClick={saveEdit} disabled={!onEdit}>
+                Save &amp; send
+              </button>
+              <button className="btn small" onClick={() => setDraft(null)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          m.text
+        )}
+
+        {m.status === STATUS.QUEUED && (
+          <div className="msg-stopped">
+            <span className="msg-badge">queued</span>
+            <button className="btn small" onClick={() => onRetry?.(m.id)}>
+              Retry
+            </button>
+            <button className="btn small danger" onClick={() => onDiscard?.(m.id)}>
+              Discard
+            </button>
+          </div>
+        )}
+
+        {m.status === STATUS.ERROR && (
+          <div className="msg-error">⚠️ {m.error}</div>
+        )}
+
+        {m.status === STATUS.STOPPED && (
+          <div className="msg-stopped">
+            <span className="msg-status">stopped</span>
+            {onContinue && (
+              <button className="btn small" onClick={() => onContinue(m.id)}>
+                Continue
+              </button>
+            )}
+          </div>
+        )}
+
+        {(m.forkId || canEdit || canRegenerate || canRate) && (
+          <div className="msg-actions">
+            {m.forkId && (
+              <VersionSwitch
+                sessionId={sessionId}
+                forkId={m.forkId}
+                onSwitch={onSwitchVersion}
+                onCompare={m.role === "assistant" ? () => setComparing(true) : undefined}
+              />
+            )}
+            {canEdit && (
+              <button className="btn small link" onClick={() => setDraft(m.text)}>
+                Edit
+              </button>
+            )}
+            {canRegenerate && (
+              <button className="btn small link" onClick={() => onRegenerate(m.id)}>
+                Regenerate
+              </button>
+            )}
+            {canRate && <Feedback sessionId={sessionId} message={m} />}
+          </div>
+        )}
+        {m.role === "assistant" && m.metrics && m.status !== STATUS.STREAMING && (
+          <MessageDetails metrics={m.metrics} />
+        )}
+        {comparing && (
+          <CompareAnswers
+            sessionId={sessionId}
+            forkId={m.forkId}
+            onClose={() => setComparing(false)}
+          />
+        )}
       </div>
-    </div>
+    </article>
+  );
+});
+
+// "‹ 2/3 ›" arrows for the alternative versions at a branch point
+function VersionSwitch({ sessionId, forkId, onSwitch, onCompare }) {
+  const fork = useFork(sessionId, forkId);
+  if (!fork || fork.versions.length < 2) return null;
+  const { active, versions } = fork;
+
+  return (
+    <span className="version-switch">
+      <button
+        className="btn small link"
+        aria-label="Previous version"
+        disabled={!onSwitch || active === 0}
+        onClick={() => onSwitch(forkId, active - 1)}
+      >
+        ‹
+      </button>
+      {active + 1}/{versions.length}
+      <button
+        className="btn small link"
+        aria-label="Next version"
+        disabled={!onSwitch || active === versions.length - 1}
+        onClick={() => onSwitch(forkId, active + 1)}
+      >
+        ›
+      </button>
+      {onCompare && (
+        <button className="btn small link" onClick={onCompare}>
+          Compare
+        </button>
+      )}
+    </span>
   );
 }
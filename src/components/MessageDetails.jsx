@@ -0,0 +1,34 @@
+// src/components/MessageDetails.jsx
+import { formatMs } from "../utils/telemetry";
+
+/**
+ * MessageDetails: collapsible telemetry for one answer — client-side timings
+ * plus whatever timing / usage numbers the server put in its done payload.
+ */
+export default function MessageDetails({ metrics }) {
+  const rows = [
+    ["Sent", new Date(metrics.sentAt).toLocaleTimeString()],
+    ["First chunk after", formatMs(metrics.firstTokenMs)],
+    ["Total duration", formatMs(metrics.durationMs)],
+    ["Chunks", metrics.chunks],
+    ["Characters", metrics.chars],
+    ["Chars / sec", metrics.charsPerSec ?? "—"],
+    ...Object.entries(metrics.server || {}).map(([key, value]) => [key, value]),
+  ];
+
+  return (
+    <details className="msg-details">
+      <summary>details</summary>
+      <table>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <th scope="row">{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
@@ -0,0 +1,216 @@
+// src/components/MessageList.jsx
+import {
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+
+const PAD = 16; // .chat-body padding
+const ESTIMATE = 160; // height assumed for rows not measured yet
+const OVERSCAN = 800; // px rendered above and below the viewport
+const STICK_SLACK = 48; // this close to the bottom still counts as "at the bottom"
+const LOAD_AHEAD = 400; // ask for older rows this close to the top
+
+// index of the row that contains `y` (content coordinates)
+function indexAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return Math.max(0, lo);
+}
+
+/**
+ * MessageList: windowed scroll list for long conversations. Only the rows
+ * near the viewport are mounted; the rest are replaced by spacers sized from
+ * measured heights (keyed by message id, so they survive re-renders and
+ * streaming) or an estimate.
+ * - sticks to the bottom while new content arrives, unless the user has
+ *   scrolled up; then a "Jump to latest" button appears
+ * - rows above the viewport that change height don't move the view, nor do
+ *   rows put in front (older history; `onReachTop` asks for it)
+ * - `ref` exposes { scrollToBottom(), scrollToId(id) }
+ * `renderItem(id, index)` renders one row; `children` are shown above the
+ * rows (empty states). `label` names the scroll region for screen readers.
+ */
+export default function MessageList({
+  ids,
+  renderItem,
+  onReachTop,
+  label = "Messages",
+  ref,
+  children,
+}) {
+  const containerRef = useRef();
+  const heights = useRef(new Map());
+  const observerRef = useRef(null);
+  const stickRef = useRef(true);
+  const targetRef = useRef(null);
+  const firstIdRef = useRef(ids[0]);
+  const [, setMeasured] = useState(0); // bumped when the height cache changes
+  const [view, setView] = useState({ top: 0, height: 0 });
+  const [atBottom, setAtBottom] = useState(true);
+
+  // offsets[i] = top of row i; offsets[ids.length] = total height
+  const offsets = new Array(ids.length + 1);
+  offsets[0] = 0;
+  ids.forEach((id, i) => {
+    offsets[i + 1] = offsets[i] + (heights.current.get(id) ?? ESTIMATE);
+  });
+
+  const top = view.top - PAD;
+  const start = indexAt(offsets, top - OVERSCAN);
+  const end = ids.length ? indexAt(offsets, top + view.height + OVERSCAN) + 1 : 0;
+
+  // one ResizeObserver for all rows; created on first use because row refs
+  // attach before effects run
+  const getObserver = useCallback(() => {
+    if (observerRef.current) return observerRef.current;
+    observerRef.current = new ResizeObserver((entries) => {
+      const el = containerRef.current;
+      let changed = false;
+      let shift = 0;
+      for (const entry of entries) {
+        const row = entry.target;
+        if (!row.isConnected) continue;
+        const id = row.dataset.id;
+        const height = row.offsetHeight;
+        const known = heights.current.get(id);
+        if (known === height) continue;
+        const prev = known ?? ESTIMATE;
+        // a row above the viewport changed size: keep what's on screen in place
+        if (el && !stickRef.current && row.offsetTop + prev <= el.scrollTop) {
+          shift += height - prev;
+        }
+        heights.current.set(id, height);
+        changed = true;
+      }
+      if (shift && el) el.scrollTop += shift;
+      if (changed) setMeasured((n) => n + 1);
+    });
+    return observerRef.current;
+  }, []);
+
+  const observeRow = useCallback(
+    (node) => {
+      if (!node) return;
+      const observer = getObserver();
+      observer.observe(node);
+      return () => observer.unobserve(node);
+    },
+    [getObserver]
+  );
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // track the viewport size (window resizes, drawers opening)
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(() => {
+      setView({ top: el.scrollTop, height: el.clientHeight });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // after every render: follow the bottom, keep the view on the same rows
+  // when older ones were put in front, or finish a jump to a message
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const prevFirst = firstIdRef.current;
+    firstIdRef.current = ids[0];
+    if (targetRef.current) {
+      const row = el.querySelector(`[data-id="${CSS.escape(targetRef.current)}"]`);
+      if (row) {
+        targetRef.current = null;
+        el.scrollTop = row.offsetTop - (el.clientHeight - row.offsetHeight) / 2;
+      }
+    } else if (stickRef.current) {
+      el.scrollTop = el.scrollHeight;
+    } else if (prevFirst !== undefined && ids[0] !== prevFirst) {
+      // estimated heights; the row observer corrects them as rows mount
+      const i = ids.indexOf(prevFirst);
+      if (i > 0) el.scrollTop += offsets[i];
+    }
+  });
+
+  // near the top (or nothing to scroll yet): ask for more
+  useEffect(() => {
+    if (onReachTop && containerRef.current.scrollTop < LOAD_AHEAD) onReachTop();
+  });
+
+  function handleScroll() {
+    const el = containerRef.current;
+    const bottom = el.scrollHeight - el.scrollTop - el.clientHeight <= STICK_SLACK;
+    stickRef.current = bottom;
+    setAtBottom(bottom);
+    setView({ top: el.scrollTop, height: el.clientHeight });
+  }
+
+  const scrollToBottom = useCallback(() => {
+    const el = containerRef.current;
+    targetRef.current = null;
+    stickRef.current = true;
+    setAtBottom(true);
+    if (el) el.scrollTop = el.scrollHeight;
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      scrollToBottom,
+      // jump near the row using known heights; the layout effect centres it
+      // exactly once it is mounted
+      scrollToId(id) {
+        const el = containerRef.current;
+        const i = ids.indexOf(id);
+        if (!el || i < 0) return false;
+        stickRef.current = false;
+        setAtBottom(false);
+        targetRef.current = id;
+        el.scrollTop = PAD + offsets[i] - el.clientHeight / 2;
+        setView({ top: el.scrollTop, height: el.clientHeight });
+        return true;
+      },
+    })
+  );
+
+  const rows = [];
+  for (let i = start; i < end; i++) {
+    rows.push(
+      <div key={ids[i]} ref={observeRow} data-id={ids[i]} className="message-row">
+        {renderItem(ids[i], i)}
+      </div>
+    );
+  }
+
+  return (
+    <div className="message-list">
+      <div
+        ref={containerRef}
+        className="chat-body"
+        role="region"
+        aria-label={label}
+        // focusable so keyboard users can scroll it
+        tabIndex={0}
+        onScroll={handleScroll}
+      >
+        {children}
+        <div style={{ height: offsets[start] }} />
+        {rows}
+        <div style={{ height: offsets[ids.length] - offsets[end] }} />
+      </div>
+      {!atBottom && ids.length > 0 && (
+        <button className="btn small jump-latest" onClick={scrollToBottom}>
+          ↓ Jump to latest
+        </button>
+      )}
+    </div>
+  );
+}
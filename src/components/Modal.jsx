@@ -0,0 +1,56 @@
+// src/components/Modal.jsx
+import { useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+
+/**
+ * Modal: dialog rendered over the app. Closes on Escape and on a click on
+ * the backdrop; focus moves into the dialog (or its [data-autofocus]
+ * element) while it is open and goes back to where it was afterwards.
+ */
+export default function Modal({ title, onClose, children, wide }) {
+  const dialogRef = useRef(null);
+  // callers usually pass an inline onClose; don't re-run the focus effect for it
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const dialog = dialogRef.current;
+    (dialog?.querySelector("[data-autofocus]") || dialog)?.focus();
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onCloseRef.current?.();
+      }
+    };
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      previous?.focus?.();
+    };
+  }, []);
+
+  return createPortal(
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose?.()}>
+      <div
+        ref={dialogRef}
+        className={wide ? "modal wide" : "modal"}
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        tabIndex={-1}
+      >
+        <div className="modal-header">
+          <h3>{title}</h3>
+          <button className="btn small link" aria-label="Close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,205 @@
+// src/components/PromptTemplates.jsx
+import { useRef, useState } from "react";
+import {
+  deleteTemplate,
+  importTemplates,
+  saveTemplate,
+  useTemplates,
+} from "../store/templateStore";
+import { showToast } from "../store/toastStore";
+import { downloadFile } from "../utils/exportChat";
+import { fillTemplate, templateVariables, toTemplatesJSON } from "../utils/templates";
+import Modal from "./Modal";
+
+/**
+ * PromptTemplates: library of saved prompts (store/templateStore.js). A
+ * template's {{variables}} are filled in a small form, then the prompt is
+ * handed to `onInsert(text)` for the composer, so it can still be edited
+ * before sending. The library can be exported to and imported from JSON.
+ */
+export default function PromptTemplates({ onInsert, onClose }) {
+  const templates = useTemplates();
+  const [editing, setEditing] = useState(null); // { id?, name, text }
+  const [filling, setFilling] = useState(null); // { template, values }
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  function use(template) {
+    if (templateVariables(template.text).length) setFilling({ template, values: {} });
+    else onInsert(template.text);
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    if (!editing.text.trim()) return;
+    saveTemplate(editing);
+    setEditing(null);
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const added = importTemplates(await file.text());
+      setError(null);
+      showToast({
+        message: added
+          ? `Imported ${added} template${added === 1 ? "" : "s"}`
+          : "All of these templates are already saved",
+      });
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  if (filling) {
+    const { template, values } = filling;
+    const names = templateVariables(template.text);
+    const complete = names.every((n) => values[n]?.trim());
+    return (
+      <Modal title={`Use "${template.name}"`} onClose={onClose} wide>
+        <form
+          className="template-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (complete) onInsert(fillTemplate(template.text, values));
+          }}
+        >
+          {names.map((name, i) => (
+            <label key={name} className="settings-row">
+              <span>{name}</span>
+              <input
+                className="text-input"
+                autoFocus={i === 0}
+                value={values[name] || ""}
+                onChange={(e) =>
+                  setFilling({ template, values: { ...values, [name]: e.target.value } })
+                }
+              />
+            </label>
+          ))}
+          <div className="settings-hint">Preview</div>
+          <pre className="template-preview">{fillTemplate(template.text, values)}</pre>
+          <div className="confirm-actions">
+            <button type="button" className="btn small link" onClick={() => setFilling(null)}>
+              Back
+            </button>
+            <button type="submit" className="btn small" disabled={!complete}>
+              Insert
+            </button>
+          </div>
+        </form>
+      </Modal>
+    );
+  }
+
+  if (editing) {
+    const names = templateVariables(editing.text);
+    return (
+      <Modal title={editing.id ? "Edit template" : "New template"} onClose={onClose} wide>
+        <form className="template-form" onSubmit={handleSave}>
+          <label className="settings-row">
+            <span>Name</span>
+            <input
+              className="text-input"
+              autoFocus
+              maxLength={80}
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+            />
+          </label>
+          <label className="settings-row">
+            <span>Prompt</span>
+            <textarea
+              className="text-input"
+              rows={6}
+              value={editing.text}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+            />
+          </label>
+          <div className="settings-hint">
+            Write {"{{name}}"} for parts you fill in each time you use it.
+            {names.length > 0 && ` Variables: ${names.join(", ")}.`}
+          </div>
+          <div className="confirm-actions">
+            <button type="button" className="btn small link" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn small" disabled={!editing.text.trim()}>
+              Save
+            </button>
+          </div>
+        </form>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal title="Prompt templates" onClose={onClose} wide>
+      <div className="template-toolbar">
+        <button className="btn small" onClick={() => setEditing({ name: "", text: "" })}>
+          New template
+        </button>
+        <button className="btn small link" onClick={() => fileRef.current?.click()}>
+          Import
+        </button>
+        <button
+          className="btn small link"
+          disabled={!templates.length}
+          onClick={() =>
+            downloadFile("prompt-templates.json", toTemplatesJSON(templates), "application/json")
+          }
+        >
+          Export
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleFile}
+        />
+      </div>
+      {error && (
+        <div className="msg-error" role="alert">
+          {error}
+        </div>
+      )}
+      {templates.length === 0 ? (
+        <div className="msg-status">
+          No templates yet. Save prompts you use often, with {"{{variables}}"} for the
+          parts that change.
+        </div>
+      ) : (
+        <ul className="template-list">
+          {templates.map((t) => (
+            <li key={t.id} className="template-item">
+              <div className="template-main">
+                <div className="template-name">{t.name}</div>
+                <div className="template-text">{t.text}</div>
+              </div>
+              <button className="btn small" onClick={() => use(t)} data-autofocus>
+                Use
+              </button>
+              <button
+                className="btn small link"
+                aria-label={`Edit ${t.name}`}
+                onClick={() => setEditing({ id: t.id, name: t.name, text: t.text })}
+              >
+                Edit
+              </button>
+              <button
+                className="btn small link"
+                aria-label={`Delete ${t.name}`}
+                onClick={() => deleteTemplate(t.id)}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,103 @@
+// src/components/SessionStats.jsx
+import { useMemo } from "react";
+import { formatMs, summarize } from "../utils/telemetry";
+import Modal from "./Modal";
+
+const CHART_HEIGHT = 160;
+const BAR_GAP = 4;
+
+/**
+ * SessionStats: latency summary for the answers in the open chat. Each bar
+ * is one answer; the dark part is the wait for the first chunk (retrieval +
+ * time to first token), the light part the rest of the stream.
+ */
+export default function SessionStats({ messages, onClose }) {
+  const answers = useMemo(
+    () => messages.filter((m) => m.role === "assistant" && m.metrics),
+    [messages]
+  );
+  const summary = useMemo(() => summarize(answers.map((m) => m.metrics)), [answers]);
+
+  const maxMs = Math.max(1, ...answers.map((m) => m.metrics.durationMs));
+  const barWidth = Math.max(6, Math.min(28, 600 / Math.max(1, answers.length) - BAR_GAP));
+  const width = answers.length * (barWidth + BAR_GAP);
+  const scale = (ms) => (ms / maxMs) * CHART_HEIGHT;
+
+  return (
+    <Modal title="Session telemetry" onClose={onClose} wide>
+      {answers.length === 0 ? (
+        <div className="msg-status">No timed answers in this chat yet.</div>
+      ) : (
+        <>
+          <table className="stats-table">
+            <thead>
+              <tr>
+                <th />
+                <th>avg</th>
+                <th>p50</th>
+                <th>p95</th>
+              </tr>
+            </thead>
+            <tbody>
+              <StatRow label="First chunk" stat={summary.firstTokenMs} format={formatMs} />
+              <StatRow label="Duration" stat={summary.durationMs} format={formatMs} />
+              <StatRow label="Chars / sec" stat={summary.charsPerSec} format={(v) => v} />
+            </tbody>
+          </table>
+
+          <div className="stats-chart">
+            <svg
+              width={width}
+              height={CHART_HEIGHT}
+              role="img"
+              aria-label={`Latency of ${answers.length} answers, longest ${formatMs(maxMs)}`}
+            >
+              {answers.map((m, i) => {
+                const { firstTokenMs, durationMs } = m.metrics;
+                const x = i * (barWidth + BAR_GAP);
+                const total = scale(durationMs);
+                const wait = scale(Math.min(firstTokenMs ?? durationMs, durationMs));
+                return (
+                  <g key={m.id}>
+                    <title>
+                      {`#${i + 1}: first chunk ${formatMs(firstTokenMs)}, total ${formatMs(durationMs)}`}
+                    </title>
+                    <rect
+                      className="bar-stream"
+                      x={x}
+                      y={CHART_HEIGHT - total}
+                      width={barWidth}
+                      height={total}
+                    />
+                    <rect
+                      className="bar-wait"
+                      x={x}
+                      y={CHART_HEIGHT - wait}
+                      width={barWidth}
+                      height={wait}
+                    />
+                  </g>
+                );
+              })}
+            </svg>
+          </div>
+          <div className="stats-legend">
+            <span className="swatch bar-wait" /> waiting for first chunk
+            <span className="swatch bar-stream" /> streaming · max {formatMs(maxMs)}
+          </div>
+        </>
+      )}
+    </Modal>
+  );
+}
+
+function StatRow({ label, stat, format }) {
+  return (
+    <tr>
+      <th scope="row">{label}</th>
+      <td>{stat ? format(stat.avg) : "—"}</td>
+      <td>{stat ? format(stat.p50) : "—"}</td>
+      <td>{stat ? format(stat.p95) : "—"}</td>
+    </tr>
+  );
+}
@@ -0,0 +1,110 @@
+// src/components/SettingsDrawer.jsx
+import {
+  LIMITS,
+  SYSTEM_PRESETS,
+  resetSettings,
+  updateSettings,
+  useSettings,
+} from "../store/settingsStore";
+
+/**
+ * SettingsDrawer: per-session chat settings (streaming, retrieval top-k,
+ * temperature, max tokens, system-prompt preset). Changes are saved as they
+ * are made and apply to the next request in this chat. Esc inside it closes
+ * it.
+ */
+export default function SettingsDrawer({ sessionId, onClose }) {
+  const settings = useSettings(sessionId);
+  const set = (patch) => updateSettings(sessionId, patch);
+  const preset = SYSTEM_PRESETS.find((p) => p.id === settings.preset);
+
+  return (
+    <div
+      className="settings-drawer"
+      role="dialog"
+      aria-label="Chat settings"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+    >
+      <div className="modal-header">
+        <h3>Chat settings</h3>
+        <button className="btn small link" aria-label="Close settings" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      <label className="settings-row checkbox">
+        <input
+          type="checkbox"
+          checked={settings.stream}
+          onChange={(e) => set({ stream: e.target.checked })}
+        />
+        Stream answers
+      </label>
+
+      <label className="settings-row">
+        <span>
+          Retrieved passages (top-k) <output>{settings.topK}</output>
+        </span>
+        <input
+          type="range"
+          {...LIMITS.topK}
+          value={settings.topK}
+          onChange={(e) => set({ topK: e.target.value })}
+        />
+      </label>
+
+      <label className="settings-row">
+        <span>
+          Temperature <output>{settings.temperature.toFixed(1)}</output>
+        </span>
+        <input
+          type="range"
+          {...LIMITS.temperature}
+          value={settings.temperature}
+          onChange={(e) => set({ temperature: e.target.value })}
+        />
+      </label>
+
+      <label className="settings-row">
+        <span>Max tokens</span>
+        {/* committed on blur so typing isn't clamped digit by digit */}
+        <input
+          key={settings.maxTokens}
+          className="text-input"
+          type="number"
+          {...LIMITS.maxTokens}
+          defaultValue={settings.maxTokens}
+          onBlur={(e) => e.target.value && set({ maxTokens: e.target.value })}
+          onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        />
+      </label>
+
+      <label className="settings-row">
+        <span>System prompt</span>
+        <select
+          className="text-input"
+          value={settings.preset}
+          onChange={(e) => set({ preset: e.target.value })}
+        >
+          {SYSTEM_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+        <small className="settings-hint">
+          {preset?.prompt || "Use the server's default system prompt."}
+        </small>
+      </label>
+
+      <button className="btn small" onClick={() => resetSettings(sessionId)}>
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
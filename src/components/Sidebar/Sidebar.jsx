@@ -1,91 +1,235 @@
 // src/components/Sidebar/Sidebar.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useMessageSearch } from '../../hooks/useMessageSearch';
+import ConfirmDialog from '../ConfirmDialog';
+import ExportMenu from '../ExportMenu';
+import ThemeSwitcher from '../ThemeSwitcher';
+import { snippetSegments } from '../../utils/searchIndex';
+import './Sidebar.scss';
 
-export default function Sidebar({ selectedSessionId, onSelect }) {
-  const [sessions, setSessions] = useState([]);
-  const [loading, setLoading] = useState(false);
-
-  const BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000';
+/**
+ * Sidebar: renders the session list owned by App (store/sessionStore.js).
+ * It never fetches on its own; create/delete/rename go through callbacks.
+ * Sessions are shown most recently updated first. Typing in the search box
+ * swaps the list for message hits across all sessions (onOpenResult).
+ * Import hands the text of a JSON export to onImport. Clear and Delete ask
+ * for confirmation in a dialog first. The theme picker sits at the bottom.
+ *
+ * Keyboard: sessions are buttons in one tab stop; Up/Down (Home/End) move
+ * between them and open the one focused, F2 renames. Ctrl+K (New) is
+ * handled app-wide by hooks/useShortcuts.js.
+ */
+export default function Sidebar({ sessions = [], loading, error, selectedSessionId, onSelect, onCreate, onDelete, onClear, onRename, onImport, onDismissError, onOpenResult }) {
+  const [query, setQuery] = useState('');
+  const [confirming, setConfirming] = useState(null); // { kind: 'delete' | 'clear', session }
+  const fileRef = useRef(null);
+  const sorted = useMemo(
+    () => [...sessions].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)),
+    [sessions]
+  );
+  // the one session reachable with Tab; arrows move from there
+  const tabbableId = sorted.some((s) => s.id === selectedSessionId) ? selectedSessionId : sorted[0]?.id;
 
-  async function loadSessions() {
-    setLoading(true);
-    try {
-      const r = await fetch(`${BASE}/sessions`, { method: 'GET' });
-      if (!r.ok) throw new Error('Failed to load sessions');
-      const j = await r.json();
-      setSessions(j.result || []);
-    } catch (e) {
-      console.error('loadSessions error', e);
-    } finally {
-      setLoading(false);
-    }
+  function handleListKey(e) {
+    const cards = [...e.currentTarget.querySelectorAll('.session-card:not(:disabled)')];
+    const i = cards.indexOf(document.activeElement);
+    const moves = { ArrowDown: i + 1, ArrowUp: i - 1, Home: 0, End: cards.length - 1 };
+    if (i === -1 || !(e.key in moves)) return;
+    e.preventDefault();
+    const next = cards[moves[e.key]];
+    if (!next || next === cards[i]) return;
+    next.focus();
+    onSelect(next.dataset.id);
   }
 
-  useEffect(() => {
-    loadSessions();
-    // optional: poll or websocket for updates
-  }, []);
-
-  async function handleNew() {
-    try {
-      const r = await fetch(`${BASE}/sessions`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({}) });
-      if (!r.ok) throw new Error('Create session failed');
-      const j = await r.json();
-      const id = j.id;
-      // refresh and select
-      await loadSessions();
-      onSelect?.(id);
-    } catch (e) {
-      console.error('create session error', e);
-      alert('Failed to create session');
-    }
+  function handleConfirm() {
+    const { kind, session } = confirming;
+    setConfirming(null);
+    if (kind === 'delete') onDelete?.(session.id);
+    else onClear?.(session.id);
   }
 
-  async function handleDelete(id) {
-    if (!confirm('Delete this chat?')) return;
-    try {
-      const r = await fetch(`${BASE}/sessions/${id}`, { method: 'DELETE' });
-      if (!r.ok) throw new Error('delete failed');
-      await loadSessions();
-      // if deleted session was selected, clear selection
-      if (id === selectedSessionId) onSelect?.(null);
-    } catch (e) {
-      console.error('delete session err', e);
-      alert('Delete failed');
-    }
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport?.(await file.text());
   }
 
   return (
-    <aside style={{ width: 300, padding: 16, background: '#061027' }}>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <h3 style={{ color: 'white' }}>Chats</h3>
-        <button onClick={handleNew}>New</button>
+    <aside className="sidebar" aria-label="Chats">
+      <div className="sidebar-header">
+        <h2>Chats</h2>
+        <div className="sidebar-actions">
+          <button className="btn small" onClick={() => fileRef.current?.click()} title="Import a JSON export">Import</button>
+          <button className="btn small" onClick={onCreate} title="New chat (Ctrl+K)" aria-keyshortcuts="Control+K">New</button>
+        </div>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleFile} />
       </div>
-      <div style={{ marginTop: 12 }}>
-        {loading && <div style={{ color: '#888' }}>Loading... <span className="spinner" /></div>}
-         
-        {!loading && sessions.length === 0 && <div style={{ color: '#666' }}>No chats</div>}
-        {sessions.map((s, index) => (
-          <div key={s.id} style={{ marginBottom: 12 }}>
-            <div
-              onClick={() => onSelect(s.id)}
-              style={{
-                padding: 10,
-                borderRadius: 8,
-                background: s.id === selectedSessionId ? '#0b3353' : '#082135',
-                cursor: 'pointer',
-                color: '#fff'
-              }}
-            >
-              <div style={{ fontWeight: 'bold' }}>Chat {sessions.length - index} , 💬 {(s.msgCount || 0)} msgs </div>
-             
+      <input
+        className="text-input search-input"
+        type="search"
+        aria-label="Search messages"
+        placeholder="Search messages…"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape' && query) {
+            e.stopPropagation(); // clearing the search shouldn't also stop an answer
+            setQuery('');
+          }
+        }}
+      />
+      {query.trim() ? (
+        <SearchResults query={query} sessions={sessions} onOpen={(r) => onOpenResult?.(r, query)} />
+      ) : (
+        <nav className="sessions-list" aria-label="Chat sessions">
+          {error && (
+            <div className="sidebar-error" role="alert">
+              {error}
+              <button className="btn small link" aria-label="Dismiss error" onClick={onDismissError}>✕</button>
             </div>
-            <div style={{ marginTop: 6 }}>
-              <button onClick={() => handleDelete(s.id)} style={{ color: 'white', background: '#b33' }}>Delete</button>
-            </div>
-          </div>
-        ))}
+          )}
+          {loading && <div className="muted" role="status">Loading... <span className="spinner" /></div>}
+
+          {!loading && sessions.length === 0 && <div className="muted">No chats</div>}
+          <ul className="session-items" onKeyDown={handleListKey}>
+            {sorted.map((s) => (
+              <SessionItem
+                key={s.id}
+                session={s}
+                selected={s.id === selectedSessionId}
+                tabbable={s.id === tabbableId}
+                onSelect={onSelect}
+                onRename={onRename}
+                onDelete={(session) => setConfirming({ kind: 'delete', session })}
+                onClear={(session) => setConfirming({ kind: 'clear', session })}
+              />
+            ))}
+          </ul>
+        </nav>
+      )}
+
+      <div className="sidebar-footer">
+        <ThemeSwitcher />
       </div>
+
+      {confirming && (
+        <ConfirmDialog
+          title={confirming.kind === 'delete' ? 'Delete chat?' : 'Clear history?'}
+          message={
+            confirming.kind === 'delete'
+              ? `"${confirming.session.title || 'New chat'}" and all its messages will be deleted.`
+              : `All messages in "${confirming.session.title || 'New chat'}" will be removed. The chat itself stays.`
+          }
+          confirmLabel={confirming.kind === 'delete' ? 'Delete' : 'Clear'}
+          danger
+          onConfirm={handleConfirm}
+          onCancel={() => setConfirming(null)}
+        />
+      )}
     </aside>
   );
 }
+
+function SearchResults({ query, sessions, onOpen }) {
+  const { results, searching } = useMessageSearch(query);
+  const titles = useMemo(() => new Map(sessions.map((s) => [s.id, s.title || 'New chat'])), [sessions]);
+  // hits from sessions that were deleted since they were indexed are skipped
+  const visible = results.filter((r) => titles.has(r.sessionId));
+
+  return (
+    <div className="sessions-list results" role="region" aria-label="Search results">
+      <div className={visible.length ? 'sr-only' : 'muted'} role="status">
+        {searching ? 'Searching…' : visible.length ? `${visible.length} matches` : 'No matches'}
+      </div>
+      {visible.map((r) => (
+        <button key={`${r.sessionId}:${r.messageId}`} className="search-result" onClick={() => onOpen(r)}>
+          <div className="search-result-meta">
+            {titles.get(r.sessionId)} · {r.role === 'user' ? 'You' : 'Assistant'}
+          </div>
+          <div className="search-result-text">
+            {snippetSegments(r.text, query).map((seg, i) =>
+              seg.match ? <mark key={i}>{seg.text}</mark> : <span key={i}>{seg.text}</span>
+            )}
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function SessionItem({ session: s, selected, tabbable, onSelect, onRename, onDelete, onClear }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const cardRef = useRef(null);
+  // after Enter/Escape in the rename box, put focus back on the session
+  const refocusRef = useRef(false);
+  const title = s.title || 'New chat';
+
+  useEffect(() => {
+    if (!editing && refocusRef.current) {
+      refocusRef.current = false;
+      cardRef.current?.focus();
+    }
+  }, [editing]);
+
+  function startEdit() {
+    setDraft(s.title);
+    setEditing(true);
+  }
+
+  function commit() {
+    setEditing(false);
+    if (draft.trim() && draft.trim() !== s.title) onRename?.(s.id, draft);
+  }
+
+  return (
+    <li className={s.pending ? 'session-item pending' : 'session-item'}>
+      {editing ? (
+        <div className="session-card active">
+          <input
+            className="text-input"
+            aria-label="Chat title"
+            autoFocus
+            value={draft}
+            maxLength={120}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                refocusRef.current = true;
+                commit();
+              } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                refocusRef.current = true;
+                setEditing(false);
+              }
+            }}
+          />
+        </div>
+      ) : (
+        <button
+          ref={cardRef}
+          className={selected ? 'session-card active' : 'session-card'}
+          data-id={s.id}
+          aria-current={selected ? 'true' : undefined}
+          tabIndex={tabbable ? 0 : -1}
+          disabled={s.pending}
+          onClick={() => onSelect(s.id)}
+          onKeyDown={(e) => e.key === 'F2' && startEdit()}
+        >
+          <span className="session-title" onDoubleClick={startEdit} title={title}>
+            {title}
+          </span>
+          <span className="session-sub">💬 {s.messagesCount} msgs</span>
+        </button>
+      )}
+      <div className="session-actions">
+        <button className="btn small link" onClick={startEdit} disabled={s.pending || editing} aria-label={`Rename ${title}`}>Rename</button>
+        <ExportMenu sessionId={s.id} disabled={s.pending} label={`Export ${title}`} />
+        <button className="btn small link" onClick={() => onClear(s)} disabled={s.pending || !s.messagesCount} aria-label={`Clear ${title}`}>Clear</button>
+        <button className="btn small danger" onClick={() => onDelete(s)} disabled={s.pending} aria-label={`Delete ${title}`}>Delete</button>
+      </div>
+    </li>
+  );
+}
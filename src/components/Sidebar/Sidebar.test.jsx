@@ -0,0 +1,144 @@
+// src/components/Sidebar/Sidebar.test.jsx
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { beforeEach, describe, expect, it } from "vitest";
+import { backend } from "../../test/helpers";
+
+// Sidebar wired to the session store the way App does it
+async function renderSidebar() {
+  const { default: Sidebar } = await import("./Sidebar");
+  const { default: Toasts } = await import("../Toasts");
+  const store = await import("../../store/sessionStore");
+  function Harness() {
+    const { sessions, selectedId, loading, error } = store.useSessions();
+    return (
+      <>
+        <Sidebar
+          sessions={sessions}
+          loading={loading}
+          error={error}
+          selectedSessionId={selectedId}
+          onSelect={store.selectSession}
+          onCreate={() => store.createSession()}
+          onDelete={store.deleteSession}
+          onClear={store.clearHistory}
+          onRename={store.renameSession}
+        />
+        <Toasts />
+      </>
+    );
+  }
+  render(<Harness />);
+  await store.loadSessions();
+  return store;
+}
+
+const selectedCard = () =>
+  within(screen.getByRole("navigation", { name: "Chat sessions" })).getByRole("button", {
+    current: true,
+  });
+
+describe("Sidebar against the mock backend", () => {
+  beforeEach(async () => {
+    await backend("/sessions", { method: "POST", body: { title: "Existing chat" } });
+  });
+
+  it("lists the server's sessions", async () => {
+    await renderSidebar();
+    expect(await screen.findByText("Existing chat")).toBeInTheDocument();
+  });
+
+  it("creates a chat on the server and selects it", async () => {
+    await renderSidebar();
+    fireEvent.click(screen.getByRole("button", { name: "New" }));
+
+    await waitFor(() => expect(selectedCard()).toHaveTextContent("New chat"));
+    const sessions = await backend("/sessions");
+    expect(sessions).toHaveLength(2);
+    expect(selectedCard()).toHaveAttribute("data-id", sessions[1].id);
+  });
+
+  it("deletes a chat after confirmation and the undo window", async () => {
+    await renderSidebar();
+    fireEvent.click(await screen.findByRole("button", { name: "Delete Existing chat" }));
+    const dialog = screen.getByRole("dialog", { name: "Delete chat?" });
+    fireEvent.click(within(dialog).getByRole("button", { name: "Delete" }));
+
+    expect(screen.queryByText("Existing chat")).toBeNull();
+    expect(screen.getByText("Chat deleted")).toBeInTheDocument();
+    // leaving the page sends a delete that is still waiting out its undo window
+    window.dispatchEvent(new Event("pagehide"));
+    await waitFor(async () => expect(await backend("/sessions")).toEqual([]));
+  });
+
+  it("brings a deleted chat back with Undo", async () => {
+    await renderSidebar();
+    fireEvent.click(await screen.findByRole("button", { name: "Delete Existing chat" }));
+    fireEvent.click(screen.getByRole("button", { name: "Delete" }));
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+
+    expect(screen.getByText("Existing chat")).toBeInTheDocument();
+    window.dispatchEvent(new Event("pagehide"));
+    expect(await backend("/sessions")).toHaveLength(1);
+  });
+});
+
+describe("Sidebar keyboard navigation", () => {
+  beforeEach(async () => {
+    // newest first in the list: Third, Second, First
+    for (const title of ["First", "Second", "Third"]) {
+      await new Promise((r) => setTimeout(r, 5));
+      await backend("/sessions", { method: "POST", body: { title } });
+    }
+  });
+
+  const card = (title) => screen.getByRole("button", { name: new RegExp(`^${title}`) });
+
+  it("keeps the session cards in one tab stop", async () => {
+    await renderSidebar();
+    await screen.findByText("First");
+    const tabbable = screen
+      .getAllByRole("button")
+      .filter((b) => b.classList.contains("session-card") && b.tabIndex === 0);
+    expect(tabbable).toEqual([selectedCard()]);
+  });
+
+  it("moves through the chats with the arrow keys, Home and End", async () => {
+    await renderSidebar();
+    await screen.findByText("First");
+    card("Third").focus();
+
+    fireEvent.keyDown(document.activeElement, { key: "ArrowDown" });
+    expect(card("Second")).toHaveFocus();
+    expect(card("Second")).toHaveAttribute("aria-current", "true");
+
+    fireEvent.keyDown(document.activeElement, { key: "End" });
+    expect(card("First")).toHaveFocus();
+    expect(selectedCard()).toBe(card("First"));
+
+    fireEvent.keyDown(document.activeElement, { key: "ArrowUp" });
+    expect(card("Second")).toHaveFocus();
+
+    fireEvent.keyDown(document.activeElement, { key: "Home" });
+    expect(card("Third")).toHaveFocus();
+    expect(selectedCard()).toBe(card("Third"));
+    expect(card("Third")).toHaveAttribute("tabindex", "0");
+
+    // stays put at the ends
+    fireEvent.keyDown(document.activeElement, { key: "ArrowUp" });
+    expect(card("Third")).toHaveFocus();
+  });
+
+  it("renames the focused chat with F2", async () => {
+    await renderSidebar();
+    await screen.findByText("First");
+    card("Second").focus();
+    fireEvent.keyDown(document.activeElement, { key: "F2" });
+
+    const input = screen.getByRole("textbox", { name: "Chat title" });
+    expect(input).toHaveFocus();
+    fireEvent.change(input, { target: { value: "Renamed" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+
+    await waitFor(() => expect(card("Renamed")).toHaveFocus());
+  });
+});
@@ -0,0 +1,25 @@
+// src/components/ThemeSwitcher.jsx
+import { setTheme, THEMES, useTheme } from "../store/themeStore";
+
+/**
+ * ThemeSwitcher: picks the colour theme (store/themeStore.js). "System"
+ * follows the OS light/dark setting.
+ */
+export default function ThemeSwitcher() {
+  const { preference } = useTheme();
+
+  return (
+    <select
+      className="theme-menu"
+      aria-label="Colour theme"
+      value={preference}
+      onChange={(e) => setTheme(e.target.value)}
+    >
+      {THEMES.map((t) => (
+        <option key={t.value} value={t.value}>
+          {t.label}
+        </option>
+      ))}
+    </select>
+  );
+}
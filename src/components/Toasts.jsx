@@ -0,0 +1,38 @@
+// src/components/Toasts.jsx
+import { dismissToast, useToasts } from "../store/toastStore";
+
+/**
+ * Toasts: stack of notifications from store/toastStore.js, e.g. "Chat
+ * deleted · Undo". Announced politely to screen readers.
+ */
+export default function Toasts() {
+  const toasts = useToasts();
+
+  return (
+    <div className="toasts" role="status" aria-live="polite">
+      {toasts.map((t) => (
+        <div key={t.id} className={`toast ${t.kind}`}>
+          <span>{t.message}</span>
+          {t.action && (
+            <button
+              className="btn small link"
+              onClick={() => {
+                dismissToast(t.id);
+                t.action.onClick();
+              }}
+            >
+              {t.action.label}
+            </button>
+          )}
+          <button
+            className="btn small link"
+            aria-label="Dismiss"
+            onClick={() => dismissToast(t.id)}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
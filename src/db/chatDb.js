@@ -0,0 +1,86 @@
+// src/db/chatDb.js
+
+/**
+ * Tiny promise wrapper around IndexedDB for the offline cache.
+ *   sessions: one record per session (keyPath "id")
+ *   messages: { sessionId, messages, forks } per session (keyPath "sessionId")
+ * Every call fails soft (resolves null / []) when IndexedDB is unavailable,
+ * e.g. in private browsing, so callers can treat the cache as best-effort.
+ */
+const DB_NAME = "voosh-chat";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("sessions")) {
+        db.createObjectStore("sessions", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("messages")) {
+        db.createObjectStore("messages", { keyPath: "sessionId" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction; resolves with the request result (if any)
+async function withStore(name, mode, fn) {
+  try {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req?.result ?? null);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.warn(`chatDb ${name} ${mode} failed`, e.message || e);
+    return null;
+  }
+}
+
+export async function getCachedSessions() {
+  return (await withStore("sessions", "readonly", (s) => s.getAll())) || [];
+}
+
+// Replace the cached session list with `sessions`
+export function putSessions(sessions) {
+  return withStore("sessions", "readwrite", (s) => {
+    s.clear();
+    sessions.forEach((session) => s.put(session));
+  });
+}
+
+// The whole cached record ({ sessionId, messages, forks, cursor, keepLocal })
+// or null; `cursor` points at the next older page still on the server
+export function getCachedConversation(sessionId) {
+  return withStore("messages", "readonly", (s) => s.get(sessionId));
+}
+
+// Every cached history: [{ sessionId, messages }]
+export async function getAllCachedMessages() {
+  return (await withStore("messages", "readonly", (s) => s.getAll())) || [];
+}
+
+export function putMessages(sessionId, messages, forks = {}, cursor = null, keepLocal = false) {
+  return withStore("messages", "readwrite", (s) =>
+    s.put({ sessionId, messages, forks, cursor, keepLocal })
+  );
+}
+
+export function deleteCachedMessages(sessionId) {
+  return withStore("messages", "readwrite", (s) => s.delete(sessionId));
+}
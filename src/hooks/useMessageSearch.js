@@ -0,0 +1,69 @@
+// src/hooks/useMessageSearch.js
+import { useEffect, useMemo, useState } from "react";
+import { searchMessages } from "../api/search";
+import { getAllCachedMessages } from "../db/chatDb";
+import { useConversations } from "../store/conversationStore";
+import { buildIndex, searchIndex } from "../utils/searchIndex";
+
+const SERVER_DEBOUNCE = 250;
+
+/**
+ * Search message text across every session. Local results come from an index
+ * over the conversation store plus the IndexedDB copies of sessions that
+ * haven't been opened yet; the server's /search endpoint (if any) adds the
+ * rest. Results: [{ sessionId, messageId, role, text, ts }]
+ */
+export function useMessageSearch(query) {
+  const conversations = useConversations();
+  const [cached, setCached] = useState(null);
+  const [server, setServer] = useState({ query: "", results: [] });
+  const active = query.trim().length > 0;
+
+  // the cache is only read once someone actually searches
+  useEffect(() => {
+    if (active && cached === null) getAllCachedMessages().then(setCached);
+  }, [active, cached]);
+
+  const index = useMemo(() => {
+    if (!active) return null;
+    const docs = [];
+    const add = (sessionId, messages) =>
+      messages.forEach((m) => {
+        if (m.text) docs.push({ sessionId, messageId: m.id, role: m.role, text: m.text, ts: m.ts });
+      });
+    Object.entries(conversations).forEach(([id, conv]) => add(id, conv.messages));
+    (cached || []).forEach((rec) => {
+      if (!conversations[rec.sessionId]) add(rec.sessionId, rec.messages);
+    });
+    return buildIndex(docs);
+  }, [active, conversations, cached]);
+
+  const local = useMemo(
+    () => (index ? searchIndex(index, query) : []),
+    [index, query]
+  );
+
+  useEffect(() => {
+    if (!active) return;
+    const ac = new AbortController();
+    const t = setTimeout(async () => {
+      const results = await searchMessages(query, { signal: ac.signal });
+      if (!ac.signal.aborted) setServer({ query, results });
+    }, SERVER_DEBOUNCE);
+    return () => {
+      clearTimeout(t);
+      ac.abort();
+    };
+  }, [active, query]);
+
+  const results = useMemo(() => {
+    if (!active) return [];
+    const seen = new Set(local.map((r) => `${r.sessionId}:${r.messageId}`));
+    const extra = server.query === query
+      ? server.results.filter((r) => !seen.has(`${r.sessionId}:${r.messageId}`))
+      : [];
+    return [...local, ...extra];
+  }, [active, local, server, query]);
+
+  return { results, searching: active && server.query !== query };
+}
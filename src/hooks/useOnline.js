@@ -0,0 +1,16 @@
+// src/hooks/useOnline.js
+import { useSyncExternalStore } from "react";
+
+function subscribe(callback) {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+}
+
+// navigator.onLine as React state
+export function useOnline() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine);
+}
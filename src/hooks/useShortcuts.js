@@ -0,0 +1,32 @@
+// src/hooks/useShortcuts.js
+import { useEffect, useRef } from "react";
+
+/**
+ * App-wide keyboard shortcuts:
+ *   Ctrl+K (⌘K)  onNewChat
+ *   Esc          onStop (stop the answer being streamed)
+ * Listens on window, so an Esc that a dialog or an input already handled
+ * (and stopped) never gets here; nothing fires while a dialog is open.
+ */
+export function useShortcuts({ onNewChat, onStop }) {
+  // callers pass inline handlers; keep the listener itself stable
+  const handlers = useRef({ onNewChat, onStop });
+  useEffect(() => {
+    handlers.current = { onNewChat, onStop };
+  });
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented || document.querySelector('[aria-modal="true"]')) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        handlers.current.onNewChat?.();
+      } else if (e.key === "Escape" && !mod) {
+        handlers.current.onStop?.();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+}
@@ -1,6 +1,7 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import "./store/themeStore"; // sets <html data-theme> before the first paint
 import "./styles/main.scss";
 
 createRoot(document.getElementById("root")).render(<App />);
@@ -0,0 +1,601 @@
+// src/store/chatActions.js
+import { postChat, postChatStream } from "../api/chat";
+import { getSessionMessages } from "../api/sessions";
+import { getCachedConversation } from "../db/chatDb";
+import { normalizeSources } from "../utils/citations";
+import { createRecorder } from "../utils/telemetry";
+import { getSettings, toRequestOptions } from "./settingsStore";
+import { createMessage, STATUS } from "./conversationReducer";
+import { dispatch, getConversationState } from "./conversationStore";
+import {
+  clearSettled,
+  getSessionsState,
+  isClearPending,
+  patchSessionMessages,
+  renameSession,
+  replaceSession,
+  syncLocalSessions,
+  titleFromQuestion,
+} from "./sessionStore";
+
+/**
+ * Chat actions: everything that talks to POST /chat and writes the result
+ * into the conversation store. Plain functions (not hooks) so the offline
+ * outbox can deliver messages for sessions that aren't on screen.
+ */
+const CONTINUE_PROMPT =
+  "Continue your previous answer exactly where it stopped, without repeating it.";
+
+// sessionId -> AbortController of the stream currently writing to it
+const activeStreams = new Map();
+
+const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+const isLocal = (sessionId) => sessionId.startsWith("local-");
+
+function findMessage(sessionId, id) {
+  return getConversationState()[sessionId]?.messages.find((m) => m.id === id);
+}
+
+export function isStreamActive(sessionId) {
+  return activeStreams.has(sessionId);
+}
+
+function toStoreMessage(m) {
+  const msg = createMessage(m.role, m.text ?? m.content ?? "", {
+    ts: m.ts || m.createdAt || Date.now(),
+    sources: normalizeSources(m.sources),
+  });
+  const rating = m.feedback?.rating || m.rating;
+  if (rating) {
+    msg.feedback = {
+      rating,
+      reason: m.feedback?.reason || null,
+      comment: m.feedback?.comment || "",
+      ts: m.feedback?.ts || 0,
+      status: "sent",
+    };
+  }
+  const serverId = m.id || m._id;
+  return serverId ? { ...msg, id: String(serverId) } : msg;
+}
+
+// Client-side fields the server history doesn't carry (yet): feedback given
+// on this device, matched by id or by the id the server reported on done
+function keepLocalFields(messages, previous) {
+  const byId = new Map();
+  for (const m of previous) {
+    if (m.feedback) byId.set(m.serverId || m.id, m.feedback);
+  }
+  if (!byId.size) return messages;
+  return messages.map((m) =>
+    byId.has(m.id) && (!m.feedback || byId.get(m.id).ts > m.feedback.ts)
+      ? { ...m, feedback: byId.get(m.id) }
+      : m
+  );
+}
+
+// A cached answer that was still streaming when the page closed can't resume
+function reviveCached(messages) {
+  return (messages || []).map((m) =>
+    m.status === STATUS.PENDING || m.status === STATUS.STREAMING
+      ? { ...m, status: STATUS.STOPPED }
+      : m
+  );
+}
+
+/**
+ * Load a session's messages: the cached copy first (instant, works offline),
+ * then the newest page of server history replaces it (older pages come in
+ * through loadOlder). Queued outbox messages are kept at the end since the
+ * server hasn't seen them. A failed request leaves the cached copy on screen
+ * with `pageError` set so the view can offer a retry. `isCancelled()` lets
+ * the caller drop results for a session the user already left.
+ */
+export async function loadHistory(sessionId, isCancelled = () => false) {
+  const isLoaded = () => getConversationState()[sessionId]?.loaded;
+  // the server keeps a flat history that can't express branches, so once a
+  // chat has been branched (or the server is missing part of it, see
+  // keepLocal) the local tree is authoritative
+  const isBranched = () => {
+    const conv = getConversationState()[sessionId];
+    return !!conv?.keepLocal || Object.keys(conv?.forks || {}).length > 0;
+  };
+  if (!isLoaded()) {
+    const cached = await getCachedConversation(sessionId);
+    if (!isCancelled() && !isLoaded()) {
+      dispatch({
+        type: "load",
+        sessionId,
+        messages: reviveCached(cached?.messages),
+        forks: cached?.forks,
+        cursor: cached?.cursor,
+        keepLocal: cached?.keepLocal,
+      });
+    }
+  }
+  // local-only sessions don't exist on the server yet, and a history that
+  // was just cleared is still on the server until the undo window passes
+  if (isCancelled() || isLocal(sessionId) || isBranched() || isClearPending(sessionId)) {
+    return;
+  }
+
+  dispatch({ type: "paging", sessionId, page: "latest" });
+  let page;
+  try {
+    page = await getSessionMessages(sessionId);
+  } catch (e) {
+    console.error("load messages err", e);
+    dispatch({
+      type: "paging",
+      sessionId,
+      page: null,
+      error: { page: "latest", message: e.message },
+    });
+    return;
+  }
+  if (
+    isCancelled() ||
+    activeStreams.has(sessionId) ||
+    isBranched() ||
+    isClearPending(sessionId)
+  ) {
+    dispatch({ type: "paging", sessionId, page: null });
+    return;
+  }
+  const conv = getConversationState()[sessionId];
+  const previous = conv?.messages || [];
+  const queued = previous.filter((m) => m.status === STATUS.QUEUED);
+  const messages = keepLocalFields(page.messages.map(toStoreMessage), previous);
+  // older pages loaded before stay if the new page still links up with them
+  const joinAt = messages.length ? previous.findIndex((m) => m.id === messages[0].id) : -1;
+  const older = joinAt > 0 ? previous.slice(0, joinAt) : [];
+  const cursor = older.length ? conv.cursor : page.nextCursor;
+  dispatch({
+    type: "load",
+    sessionId,
+    messages: [...older, ...messages, ...queued],
+    cursor,
+  });
+  // a complete history is authoritative for the sidebar count
+  if (!cursor) {
+    replaceSession(sessionId, {
+      messagesCount: older.length + messages.length + queued.length,
+    });
+  }
+}
+
+// sessionId -> promise of the older page being fetched
+const olderLoads = new Map();
+
+/**
+ * Fetch the page of history before the oldest loaded message and put it in
+ * front. Resolves once it is in (or failed, see `pageError`); calls while a
+ * page is on its way share it.
+ */
+export function loadOlder(sessionId) {
+  const cursor = getConversationState()[sessionId]?.cursor;
+  if (olderLoads.has(sessionId)) return olderLoads.get(sessionId);
+  if (!cursor) return Promise.resolve();
+
+  const load = (async () => {
+    dispatch({ type: "paging", sessionId, page: "older" });
+    try {
+      const page = await getSessionMessages(sessionId, { before: cursor });
+      const conv = getConversationState()[sessionId];
+      // reloaded or cleared in the meantime: this page no longer fits
+      if (conv?.cursor !== cursor) {
+        if (conv?.paging === "older") dispatch({ type: "paging", sessionId, page: null });
+        return;
+      }
+      dispatch({
+        type: "prepend",
+        sessionId,
+        messages: keepLocalFields(page.messages.map(toStoreMessage), conv.messages),
+        cursor: page.nextCursor,
+      });
+    } catch (e) {
+      console.error("load older messages err", e);
+      dispatch({
+        type: "paging",
+        sessionId,
+        page: null,
+        error: { page: "older", message: e.message },
+      });
+    } finally {
+      olderLoads.delete(sessionId);
+    }
+  })();
+  olderLoads.set(sessionId, load);
+  return load;
+}
+
+// Every page of a session's history (exports need all of it); stops early
+// if a page fails to load
+export async function loadAllHistory(sessionId) {
+  if (!getConversationState()[sessionId]?.loaded) await loadHistory(sessionId);
+  const conv = () => getConversationState()[sessionId];
+  while (conv()?.cursor && !conv().pageError) await loadOlder(sessionId);
+}
+
+// Body fields for a request answering into message `id`. When continuing
+// (`prefix` is the answer so far) the server is told to extend that answer
+// instead of storing `message` as another question.
+function requestOptions(sessionId, id, prefix) {
+  const options = toRequestOptions(sessionId);
+  if (!prefix) return options;
+  const serverId = findMessage(sessionId, id)?.serverId;
+  return { ...options, continuation: { text: prefix, messageId: serverId ?? null } };
+}
+
+/**
+ * Stream an answer for `message` into assistant message `id`.
+ * `prefix` is text already in that message ("continue" appends to it).
+ *
+ * Resolves with how it ended: "complete" | "stopped" | "error" |
+ * "rejected" (server answered with an HTTP error) | "unreachable" (no
+ * response at all — the caller decides whether to queue the message).
+ */
+export async function streamInto(sessionId, id, message, prefix = "") {
+  activeStreams.get(sessionId)?.abort();
+  const ac = new AbortController();
+  activeStreams.set(sessionId, ac);
+  dispatch({
+    type: "update",
+    sessionId,
+    id,
+    fields: { text: prefix, status: STATUS.PENDING, error: null },
+  });
+
+  let received = false;
+  let doneData = null;
+  const recorder = createRecorder();
+  try {
+    await postChatStream({
+      sessionId,
+      message,
+      options: requestOptions(sessionId, id, prefix),
+      signal: ac.signal,
+      // dropped connections resume via Last-Event-ID; just reflect the state
+      onStatus: (status) =>
+        dispatch({
+          type: "connection",
+          sessionId,
+          reconnecting: status === "reconnecting",
+        }),
+      onEvent: ({ event, data }) => {
+        received = true;
+        if (event === "message") {
+          recorder.chunk(data.delta);
+          dispatch({ type: "delta", sessionId, id, delta: data.delta });
+        } else if (event === "title" && data.title) {
+          // server already stored it; just reflect it locally
+          replaceSession(sessionId, { title: data.title });
+        } else if (event === "done") {
+          // done carries the final answer and the retrieved sources
+          const finalText = data.answer || data.text;
+          doneData = data;
+          const serverId = data.messageId ?? data.id;
+          if (serverId != null) {
+            dispatch({ type: "update", sessionId, id, fields: { serverId: String(serverId) } });
+          }
+          dispatch({
+            type: "finalize",
+            sessionId,
+            id,
+            text: finalText ? prefix + finalText : undefined,
+            sources: normalizeSources(data.sources),
+          });
+        } else if (event === "error") {
+          dispatch({ type: "fail", sessionId, id, error: data.error });
+        }
+      },
+    });
+    // stream ended without a done event: keep what arrived
+    dispatch({ type: "finalize", sessionId, id });
+    return findMessage(sessionId, id)?.status === STATUS.ERROR ? "error" : "complete";
+  } catch (err) {
+    if (err.name === "AbortError") {
+      // user pressed Stop: keep the partial answer
+      dispatch({ type: "stop", sessionId, id });
+      return "stopped";
+    }
+    if (!err.status && !received) {
+      dispatch({ type: "fail", sessionId, id, error: "Can't reach the server" });
+      return "unreachable";
+    }
+
+    console.error("streaming send err", err);
+    dispatch({
+      type: "fail",
+      sessionId,
+      id,
+      error: err.status
+        ? `Send failed: ${err.message}`
+        : `Stream error: ${err.message || err}`,
+    });
+    return err.status ? "rejected" : "error";
+  } finally {
+    // timings only mean something once the server started answering
+    if (received) {
+      dispatch({
+        type: "update",
+        sessionId,
+        id,
+        fields: { metrics: recorder.finish(doneData) },
+      });
+    }
+    dispatch({ type: "connection", sessionId, reconnecting: false });
+    if (activeStreams.get(sessionId) === ac) activeStreams.delete(sessionId);
+  }
+}
+
+// Non-streaming variant of streamInto, same arguments and result values
+async function answerInto(sessionId, id, message, prefix = "") {
+  activeStreams.get(sessionId)?.abort();
+  const ac = new AbortController();
+  activeStreams.set(sessionId, ac);
+  dispatch({
+    type: "update",
+    sessionId,
+    id,
+    fields: { text: prefix, status: STATUS.PENDING, error: null },
+  });
+
+  const recorder = createRecorder();
+  try {
+    const resp = await postChat({
+      message,
+      sessionId,
+      options: requestOptions(sessionId, id, prefix),
+      signal: ac.signal,
+    });
+    recorder.chunk(resp.answer || "");
+    const serverId = resp.messageId ?? resp.id;
+    if (serverId != null) {
+      dispatch({ type: "update", sessionId, id, fields: { serverId: String(serverId) } });
+    }
+    dispatch({
+      type: "finalize",
+      sessionId,
+      id,
+      text: prefix + (resp.answer || ""),
+      sources: normalizeSources(resp.sources),
+    });
+    dispatch({
+      type: "update",
+      sessionId,
+      id,
+      fields: { metrics: recorder.finish(resp) },
+    });
+    return "complete";
+  } catch (err) {
+    if (err.name === "AbortError") {
+      dispatch({ type: "stop", sessionId, id });
+      return "stopped";
+    }
+    if (!err.status) {
+      dispatch({ type: "fail", sessionId, id, error: "Can't reach the server" });
+      return "unreachable";
+    }
+    dispatch({
+      type: "fail",
+      sessionId,
+      id,
+      error: `Send failed: ${err.message || err}`,
+    });
+    return "rejected";
+  } finally {
+    if (activeStreams.get(sessionId) === ac) activeStreams.delete(sessionId);
+  }
+}
+
+// Answer into message `id` with the session's streaming setting
+function answer(sessionId, id, message, prefix = "") {
+  return getSettings(sessionId).stream
+    ? streamInto(sessionId, id, message, prefix)
+    : answerInto(sessionId, id, message, prefix);
+}
+
+/**
+ * Hand user message `userId` to the server and stream its answer right
+ * after it. If the server can't be reached the message goes (back) into the
+ * outbox as "queued".
+ */
+async function deliver(
+  sessionId,
+  userId,
+  { stream = getSettings(sessionId).stream } = {}
+) {
+  const user = findMessage(sessionId, userId);
+  if (!user) return "complete";
+  dispatch({ type: "update", sessionId, id: userId, fields: { status: STATUS.COMPLETE } });
+
+  const reply = createMessage("assistant", "", { status: STATUS.PENDING });
+  dispatch({ type: "append", sessionId, afterId: userId, message: reply });
+  const undoAnswerCount = patchSessionMessages(sessionId, { deltaCount: 1 });
+
+  const result = stream
+    ? await streamInto(sessionId, reply.id, user.text)
+    : await answerInto(sessionId, reply.id, user.text);
+
+  if (result === "unreachable") {
+    dispatch({ type: "remove", sessionId, id: reply.id });
+    dispatch({ type: "update", sessionId, id: userId, fields: { status: STATUS.QUEUED } });
+    undoAnswerCount();
+  } else if (result === "rejected") {
+    // the server refused the request, so neither message was stored there
+    undoAnswerCount();
+    patchSessionMessages(sessionId, { deltaCount: -1 });
+  }
+  return result;
+}
+
+/**
+ * Send a user message. While offline (or while earlier messages in this
+ * session are still queued, the session only exists locally or a clear of
+ * it can still be undone) it lands in the outbox instead. `stream`
+ * defaults to the session's settings (store/settingsStore.js).
+ */
+export async function sendMessage(sessionId, text, { stream } = {}) {
+  if (!sessionId || !text.trim()) return;
+  const user = createMessage("user", text, { status: STATUS.QUEUED });
+  dispatch({ type: "append", sessionId, message: user });
+  patchSessionMessages(sessionId, { deltaCount: 1 });
+
+  // untitled chats are named after their first question
+  const session = getSessionsState().sessions.find((s) => s.id === sessionId);
+  if (session && !session.title) renameSession(sessionId, titleFromQuestion(text));
+
+  return submit(sessionId, user.id, { stream });
+}
+
+/**
+ * Edit user message `id`. The edited copy starts a new branch at that point
+ * — the original question and everything after it stay reachable as the
+ * previous version — and is then sent like a new message.
+ */
+export async function editMessage(sessionId, id, text, { stream } = {}) {
+  const original = findMessage(sessionId, id);
+  if (original?.role !== "user" || !text.trim() || activeStreams.has(sessionId)) return;
+  const user = createMessage("user", text, { status: STATUS.QUEUED });
+  dispatch({ type: "fork", sessionId, atId: id, message: user });
+  patchSessionMessages(sessionId, { deltaCount: 1 });
+  return submit(sessionId, user.id, { stream });
+}
+
+// Show version `index` of branch point `forkId`
+export function switchVersion(sessionId, forkId, index) {
+  if (activeStreams.has(sessionId)) return;
+  dispatch({ type: "switchVersion", sessionId, forkId, index });
+}
+
+// Deliver a just-queued user message, unless it has to wait in the outbox
+async function submit(sessionId, userId, options) {
+  // a chat created offline has to reach the server first; the outbox sends
+  // the message once it has been moved to its server id
+  if (isLocal(sessionId)) {
+    if (isOnline()) syncLocalSessions().then(flushOutbox);
+    return;
+  }
+  // the delayed delete of a clear that can still be undone would wipe it
+  if (isClearPending(sessionId)) {
+    clearSettled(sessionId).then(flushOutbox);
+    return;
+  }
+  const olderQueued = getConversationState()[sessionId].messages.some(
+    (m) => m.status === STATUS.QUEUED && m.id !== userId
+  );
+  if (!isOnline() || olderQueued) {
+    flushOutbox();
+    return;
+  }
+  const result = await deliver(sessionId, userId, options);
+  flushOutbox();
+  return result;
+}
+
+export function stopStream(sessionId) {
+  activeStreams.get(sessionId)?.abort();
+}
+
+// Ask the model to pick up a stopped answer where it left off
+export function continueAnswer(sessionId, id) {
+  const msg = findMessage(sessionId, id);
+  if (msg) return answer(sessionId, id, CONTINUE_PROMPT, msg.text);
+}
+
+/**
+ * Re-ask the question that produced answer `id`. The new answer is added as
+ * another version at that point, so earlier answers stay available to switch
+ * back to or compare. An answer that failed before producing any text is
+ * simply retried in place.
+ */
+export async function regenerate(sessionId, id) {
+  const messages = getConversationState()[sessionId]?.messages || [];
+  const idx = messages.findIndex((m) => m.id === id);
+  const question = messages
+    .slice(0, idx)
+    .reverse()
+    .find((m) => m.role === "user");
+  if (!question || activeStreams.has(sessionId)) return;
+
+  if (!messages[idx].text) {
+    dispatch({ type: "update", sessionId, id, fields: { sources: [] } });
+    return answer(sessionId, id, question.text);
+  }
+
+  const reply = createMessage("assistant", "", { status: STATUS.PENDING });
+  dispatch({ type: "fork", sessionId, atId: id, message: reply });
+  const undoCount = patchSessionMessages(sessionId, { deltaCount: 1 });
+  const result = await answer(sessionId, reply.id, question.text);
+  // the failed attempt stays as a version showing its error
+  if (result === "unreachable" || result === "rejected") undoCount();
+  return result;
+}
+
+// Send one queued message now, ignoring the outbox order
+export function retryQueued(sessionId, id) {
+  if (findMessage(sessionId, id)?.status !== STATUS.QUEUED) return;
+  // a local-only chat is synced first (see submit); during a clear's undo
+  // window it goes out with the outbox afterwards
+  if (isLocal(sessionId)) {
+    if (isOnline()) syncLocalSessions().then(flushOutbox);
+    return;
+  }
+  if (isClearPending(sessionId)) return;
+  return deliver(sessionId, id);
+}
+
+export function discardQueued(sessionId, id) {
+  if (findMessage(sessionId, id)?.status !== STATUS.QUEUED) return;
+  dispatch({ type: "remove", sessionId, id });
+  patchSessionMessages(sessionId, { deltaCount: -1 });
+}
+
+/**
+ * Deliver queued messages, oldest first per session, stopping at the first
+ * one the server can't be reached for. Local-only sessions wait until
+ * sessionStore has synced them, cleared ones until the clear has settled.
+ * Sessions that aren't in memory yet are checked through their IndexedDB
+ * copy.
+ */
+let flushing = false;
+export async function flushOutbox() {
+  if (flushing || !isOnline()) return;
+  flushing = true;
+  try {
+    const ids = new Set([
+      ...Object.keys(getConversationState()),
+      ...getSessionsState().sessions.map((s) => s.id),
+    ]);
+    for (const sessionId of ids) {
+      if (isLocal(sessionId) || activeStreams.has(sessionId) || isClearPending(sessionId)) {
+        continue;
+      }
+
+      if (!getConversationState()[sessionId]?.loaded) {
+        const cached = await getCachedConversation(sessionId);
+        if (!cached?.messages.some((m) => m.status === STATUS.QUEUED)) continue;
+        dispatch({
+          type: "load",
+          sessionId,
+          messages: reviveCached(cached.messages),
+          forks: cached.forks,
+          cursor: cached.cursor,
+          keepLocal: cached.keepLocal,
+        });
+      }
+
+      for (;;) {
+        const next = getConversationState()[sessionId]?.messages.find(
+          (m) => m.status === STATUS.QUEUED
+        );
+        if (!next) break;
+        const result = await deliver(sessionId, next.id);
+        if (result === "unreachable") return;
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+}
@@ -0,0 +1,282 @@
+// src/store/chatActions.test.jsx
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { backend } from "../test/helpers";
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// The app's stores, fresh for each test (see test/setup.js)
+async function stores() {
+  return {
+    chat: await import("./chatActions"),
+    sessions: await import("./sessionStore"),
+    conversations: await import("./conversationStore"),
+  };
+}
+
+// A chat created while the server couldn't be reached, open on screen
+async function createLocalSession({ chat, sessions }) {
+  vi.spyOn(globalThis, "fetch").mockRejectedValueOnce(new TypeError("Failed to fetch"));
+  const local = await sessions.createSession();
+  vi.restoreAllMocks();
+  expect(local.id).toMatch(/^local-/);
+  await chat.loadHistory(local.id);
+  return local;
+}
+
+const chatRequests = (spy) =>
+  spy.mock.calls.filter(([url]) => String(url).endsWith("/chat")).map(([, init]) => init);
+
+// Resolves with the server id of a synced local session once its answer is in
+async function answered({ sessions, conversations }) {
+  return waitFor(() => {
+    const id = sessions.getSessionsState().selectedId;
+    expect(id).not.toMatch(/^local-/);
+    const messages = conversations.getConversationState()[id].messages;
+    expect(messages.map((m) => [m.role, m.status])).toEqual([
+      ["user", "complete"],
+      ["assistant", "complete"],
+    ]);
+    return id;
+  });
+}
+
+describe("messages in local-only sessions", () => {
+  it("syncs the session before sending, instead of posting a local id", async () => {
+    const { chat, sessions, conversations } = await stores();
+    const local = await createLocalSession({ chat, sessions });
+    const fetchSpy = vi.spyOn(globalThis, "fetch");
+
+    const sent = chat.sendMessage(local.id, "Hello from offline");
+    // still queued while the session is being created on the server
+    expect(conversations.getConversationState()[local.id].messages[0].status).toBe("queued");
+    await sent;
+    const id = await answered({ sessions, conversations });
+
+    expect((await backend("/sessions")).map((s) => s.id)).toEqual([id]);
+    const bodies = chatRequests(fetchSpy).map((init) => JSON.parse(init.body));
+    expect(bodies.map((b) => b.sessionId)).toEqual([id]);
+  });
+
+  it("sends a message queued offline once, after the session is synced", async () => {
+    const { chat, sessions, conversations } = await stores();
+    const local = await createLocalSession({ chat, sessions });
+    vi.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    await chat.sendMessage(local.id, "Queued while offline");
+    expect(conversations.getConversationState()[local.id].messages[0].status).toBe("queued");
+
+    vi.restoreAllMocks();
+    await sessions.loadSessions();
+    await chat.flushOutbox();
+    const id = await answered({ sessions, conversations });
+
+    const { messages } = await backend(`/sessions/${id}/messages`);
+    expect(messages.map((m) => [m.role, m.text.slice(0, 20)])).toEqual([
+      ["user", "Queued while offline"],
+      ["assistant", "Here is a mock answe"],
+    ]);
+    expect(sessions.getSessionsState().sessions[0].messagesCount).toBe(2);
+  });
+
+  it("syncs the session when Retry is pressed on a queued message", async () => {
+    const { chat, sessions, conversations } = await stores();
+    const local = await createLocalSession({ chat, sessions });
+    vi.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    await chat.sendMessage(local.id, "Retry me");
+    const [queued] = conversations.getConversationState()[local.id].messages;
+
+    vi.restoreAllMocks();
+    const fetchSpy = vi.spyOn(globalThis, "fetch");
+    await chat.retryQueued(local.id, queued.id);
+    const id = await answered({ sessions, conversations });
+
+    expect((await backend("/sessions")).map((s) => s.id)).toEqual([id]);
+    const bodies = chatRequests(fetchSpy).map((init) => JSON.parse(init.body));
+    expect(bodies.map((b) => b.sessionId)).toEqual([id]);
+  });
+});
+
+describe("syncing with a server that ignores seeded history", () => {
+  // POST /sessions without the `messages` field, like an older backend
+  function dropSeeds() {
+    const realFetch = globalThis.fetch;
+    vi.spyOn(globalThis, "fetch").mockImplementation((url, init = {}) => {
+      if (init.method === "POST" && String(url).endsWith("/sessions")) {
+        const { title } = JSON.parse(init.body);
+        return realFetch(url, { ...init, body: JSON.stringify({ title }) });
+      }
+      return realFetch(url, init);
+    });
+  }
+
+  it("keeps an imported chat's messages", async () => {
+    const { chat, sessions, conversations } = await stores();
+    const { toJSON } = await import("../utils/exportChat");
+    const file = toJSON({ title: "Imported" }, [
+      { role: "user", text: "offline q", ts: 1 },
+      { role: "assistant", text: "offline a", ts: 2 },
+    ]);
+    dropSeeds();
+
+    await sessions.importSession(file);
+    const { id } = sessions.getSessionsState().sessions[0];
+    expect(id).not.toMatch(/^local-/);
+    await chat.loadHistory(id);
+
+    const texts = () => conversations.getConversationState()[id].messages.map((m) => m.text);
+    expect(texts()).toEqual(["offline q", "offline a"]);
+    // and still after a reload, from the cache (writes are debounced 500 ms)
+    await new Promise((r) => setTimeout(r, 600));
+    vi.resetModules();
+    const fresh = await stores();
+    await fresh.sessions.loadSessions();
+    await fresh.chat.loadHistory(id);
+    expect(fresh.conversations.getConversationState()[id].messages.map((m) => m.text)).toEqual([
+      "offline q",
+      "offline a",
+    ]);
+  });
+});
+
+describe("sending while a clear can still be undone", () => {
+  // an open chat with two messages on the server, cleared just now
+  async function clearedChat() {
+    const { id } = await backend("/sessions", {
+      method: "POST",
+      body: {
+        title: "Old chat",
+        messages: [
+          { role: "user", text: "Old question" },
+          { role: "assistant", text: "Old answer" },
+        ],
+      },
+    });
+    const all = await stores();
+    await all.sessions.loadSessions();
+    await all.chat.loadHistory(id);
+    all.sessions.clearHistory(id);
+    return { id, ...all };
+  }
+
+  const serverTexts = async (id) =>
+    (await backend(`/sessions/${id}/messages`)).messages.map((m) => m.text.slice(0, 12));
+
+  it("holds the question until the clear has gone out", async () => {
+    const { id, chat, sessions, conversations } = await clearedChat();
+    await chat.sendMessage(id, "New question");
+
+    expect(conversations.getConversationState()[id].messages[0].status).toBe("queued");
+    expect(await serverTexts(id)).toEqual(["Old question", "Old answer"]);
+
+    // leaving the page sends the clear without waiting out the window
+    window.dispatchEvent(new Event("pagehide"));
+    await sessions.clearSettled(id);
+    await waitFor(async () =>
+      expect(await serverTexts(id)).toEqual(["New question", "Here is a mo"])
+    );
+  });
+
+  it("keeps the question when the clear is undone", async () => {
+    const { id, chat, sessions, conversations } = await clearedChat();
+    const { default: Toasts } = await import("../components/Toasts");
+    render(<Toasts />);
+    await chat.sendMessage(id, "New question");
+
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+    const texts = () =>
+      conversations.getConversationState()[id].messages.map((m) => m.text.slice(0, 12));
+    expect(texts()).toEqual(["Old question", "Old answer", "New question"]);
+    expect(sessions.getSessionsState().sessions[0].messagesCount).toBe(3);
+
+    await waitFor(async () =>
+      expect(await serverTexts(id)).toEqual([
+        "Old question",
+        "Old answer",
+        "New question",
+        "Here is a mo",
+      ])
+    );
+    await waitFor(() =>
+      expect(texts()).toEqual(["Old question", "Old answer", "New question", "Here is a mo"])
+    );
+  });
+});
+
+describe("history cursor", () => {
+  // a chat with more history than fits in one page
+  async function longChat() {
+    const messages = Array.from({ length: 60 }, (_, i) => ({
+      role: i % 2 ? "assistant" : "user",
+      text: `Message ${i}`,
+    }));
+    const { id } = await backend("/sessions", { method: "POST", body: { title: "Long", messages } });
+    const all = await stores();
+    await all.sessions.loadSessions();
+    return { id, ...all };
+  }
+
+  it("survives undoing a clear", async () => {
+    const { id, chat, sessions, conversations } = await longChat();
+    const { default: Toasts } = await import("../components/Toasts");
+    render(<Toasts />);
+    await chat.loadHistory(id);
+    const conv = () => conversations.getConversationState()[id];
+    const { cursor } = conv();
+    expect(cursor).toBeTruthy();
+
+    sessions.clearHistory(id);
+    fireEvent.click(await screen.findByRole("button", { name: "Undo" }));
+    expect(conv().cursor).toBe(cursor);
+
+    await chat.loadOlder(id);
+    expect(conv().messages).toHaveLength(60);
+    expect(conv().cursor).toBeNull();
+  });
+
+  it("survives the outbox loading a cached chat", async () => {
+    const { id, chat, conversations } = await longChat();
+    const { putMessages } = await import("../db/chatDb");
+    const page = await backend(`/sessions/${id}/messages?limit=50`);
+    const cached = page.messages.map((m) => ({ ...m, status: "complete" }));
+    const queued = { id: "q1", role: "user", text: "Sent offline", ts: 1, status: "queued" };
+    await putMessages(id, [...cached, queued], {}, page.nextCursor);
+
+    await chat.flushOutbox();
+    const conv = () => conversations.getConversationState()[id];
+    expect(conv().cursor).toBe(page.nextCursor);
+
+    await chat.loadOlder(id);
+    expect(conv().messages.map((m) => m.text)).toContain("Message 0");
+    expect(conv().messages).toHaveLength(62);
+  });
+});
+
+describe("continuing an answer", () => {
+  it("extends the stored answer instead of asking a new question", async () => {
+    const { id } = await backend("/sessions", { method: "POST", body: { title: "Long" } });
+    const { chat, sessions, conversations } = await stores();
+    await sessions.loadSessions();
+    await chat.loadHistory(id);
+    const messages = () => conversations.getConversationState()[id].messages;
+
+    const sent = chat.sendMessage(id, "Tell me everything");
+    await waitFor(() => expect(messages()[1]?.text).toMatch(/Here is/));
+    chat.stopStream(id);
+    await sent;
+    const [, partial] = messages();
+    expect(partial.status).toBe("stopped");
+
+    await chat.continueAnswer(id, partial.id);
+    const once = messages()[1].text;
+    expect(once.startsWith(partial.text)).toBe(true);
+    // continuing a finished answer replaces it on the server too
+    await chat.continueAnswer(id, partial.id);
+
+    const stored = (await backend(`/sessions/${id}/messages`)).messages;
+    expect(stored.map((m) => m.role)).toEqual(["user", "assistant"]);
+    expect(stored[1].text).toBe(messages()[1].text);
+    expect(stored[1].text.startsWith(once)).toBe(true);
+  });
+});
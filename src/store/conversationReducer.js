@@ -0,0 +1,309 @@
+// src/store/conversationReducer.js
+
+/**
+ * Conversation state, keyed by session id:
+ *   { [sessionId]: { messages: Message[], loaded: boolean, reconnecting?,
+ *                    cursor?, paging?, pageError?, keepLocal? } }
+ *
+ * Message: { id, role, text, ts, status, sources?, error?, serverId?, feedback? }
+ * `serverId` is the id the server reported for a streamed answer;
+ * `feedback` is the user's rating (see store/feedbackActions.js).
+ * Status lifecycle for assistant answers:
+ *   pending -> streaming -> complete | error | stopped
+ * User messages are "queued" while they sit in the offline outbox and
+ * "complete" once handed to the server; history messages load as "complete".
+ *
+ * Branches: editing an earlier message forks the thread at that point.
+ * `messages` is always the visible thread; the alternatives live in
+ *   forks: { [forkId]: { versions: Message[][], active: number } }
+ * where versions[i] is the thread from the branch point to the end for
+ * version i, and the first message of every version carries `forkId`. The
+ * active version's slot is only refreshed when switching away from it.
+ *
+ * Paging: server history arrives newest page first. `cursor` fetches the
+ * next older page (null once the whole history is in), `paging` is the page
+ * being fetched ("latest" | "older" | null) and `pageError` is
+ * { page, message } when that failed.
+ *
+ * `keepLocal` marks a chat whose server copy lacks history it has here (a
+ * synced offline chat whose seed the server dropped); its local copy stays
+ * authoritative instead of being replaced by the server's.
+ */
+export const STATUS = {
+  PENDING: "pending",
+  STREAMING: "streaming",
+  COMPLETE: "complete",
+  ERROR: "error",
+  STOPPED: "stopped",
+  QUEUED: "queued",
+};
+
+export const initialConversationState = {};
+
+export function newId() {
+  return globalThis.crypto?.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function createMessage(role, text = "", fields = {}) {
+  return {
+    id: newId(),
+    role,
+    text,
+    ts: Date.now(),
+    status: STATUS.COMPLETE,
+    sources: [],
+    ...fields,
+  };
+}
+
+const isOpen = (m) =>
+  m.status === STATUS.PENDING || m.status === STATUS.STREAMING;
+
+function updateMessages(state, sessionId, fn) {
+  const conv = state[sessionId] || { messages: [], loaded: false };
+  const messages = fn(conv.messages);
+  if (messages === conv.messages) return state;
+  return { ...state, [sessionId]: { ...conv, messages } };
+}
+
+function updateMessage(state, sessionId, id, fn) {
+  return updateMessages(state, sessionId, (messages) => {
+    const idx = messages.findIndex((m) => m.id === id);
+    if (idx === -1) return messages;
+    const next = fn(messages[idx]);
+    if (next === messages[idx]) return messages;
+    const copy = messages.slice();
+    copy[idx] = next;
+    return copy;
+  });
+}
+
+// Drop the active version of a fork (its first message was removed, e.g. a
+// discarded edit) and show the one before it. A fork left with a single
+// version is dissolved.
+function dropVersion(state, sessionId, forkId) {
+  const conv = state[sessionId];
+  const fork = conv.forks[forkId];
+  const idx = conv.messages.findIndex((m) => m.forkId === forkId);
+  const versions = fork.versions.filter((_, i) => i !== fork.active);
+  const active = Math.max(0, fork.active - 1);
+  let restored = versions[active] || [];
+  const forks = { ...conv.forks };
+  if (versions.length <= 1) {
+    delete forks[forkId];
+    if (restored.length) {
+      const { forkId: _forkId, ...first } = restored[0];
+      restored = [first, ...restored.slice(1)];
+    }
+  } else {
+    forks[forkId] = { versions, active };
+  }
+  return {
+    ...state,
+    [sessionId]: {
+      ...conv,
+      messages: [...conv.messages.slice(0, idx), ...restored],
+      forks,
+    },
+  };
+}
+
+export function conversationReducer(state, action) {
+  const { sessionId } = action;
+  switch (action.type) {
+    // replace a session's history with server data
+    case "load":
+      return {
+        ...state,
+        [sessionId]: {
+          messages: action.messages,
+          forks: action.forks || {},
+          cursor: action.cursor ?? null,
+          loaded: true,
+          ...(action.keepLocal && { keepLocal: true }),
+        },
+      };
+
+    // an older page of history goes in front; messages already present
+    // (e.g. the page overlaps one loaded before) are skipped
+    case "prepend": {
+      const conv = state[sessionId];
+      if (!conv) return state;
+      const known = new Set(conv.messages.map((m) => m.id));
+      const older = action.messages.filter((m) => !known.has(m.id));
+      return {
+        ...state,
+        [sessionId]: {
+          ...conv,
+          messages: [...older, ...conv.messages],
+          cursor: action.cursor ?? null,
+          paging: null,
+          pageError: null,
+        },
+      };
+    }
+
+    // a page request started (`page`) or ended (`page: null`, with `error`
+    // if it failed)
+    case "paging": {
+      const conv = state[sessionId] || { messages: [], loaded: false };
+      return {
+        ...state,
+        [sessionId]: { ...conv, paging: action.page, pageError: action.error || null },
+      };
+    }
+
+    // `afterId` inserts right after that message instead of at the end
+    case "append":
+      return updateMessages(state, sessionId, (messages) => {
+        const idx = action.afterId
+          ? messages.findIndex((m) => m.id === action.afterId)
+          : -1;
+        if (idx === -1) return [...messages, action.message];
+        const copy = messages.slice();
+        copy.splice(idx + 1, 0, action.message);
+        return copy;
+      });
+
+    case "remove": {
+      const conv = state[sessionId];
+      const removed = conv?.messages.find((m) => m.id === action.id);
+      if (removed?.forkId && conv.forks?.[removed.forkId]) {
+        return dropVersion(state, sessionId, removed.forkId);
+      }
+      return updateMessages(state, sessionId, (messages) =>
+        removed ? messages.filter((m) => m.id !== action.id) : messages
+      );
+    }
+
+    // start a new version at message `atId` (an edited question), with
+    // `message` as its first message; the current thread becomes a version
+    case "fork": {
+      const conv = state[sessionId];
+      const idx = conv ? conv.messages.findIndex((m) => m.id === action.atId) : -1;
+      if (idx === -1) return state;
+      const tail = conv.messages.slice(idx);
+      const forkId = tail[0].forkId || newId();
+      const fork = conv.forks?.[forkId];
+      const versions = fork ? fork.versions.slice() : [];
+      versions[fork ? fork.active : 0] = [{ ...tail[0], forkId }, ...tail.slice(1)];
+      const message = { ...action.message, forkId };
+      versions.push([message]);
+      return {
+        ...state,
+        [sessionId]: {
+          ...conv,
+          messages: [...conv.messages.slice(0, idx), message],
+          forks: {
+            ...conv.forks,
+            [forkId]: { versions, active: versions.length - 1 },
+          },
+        },
+      };
+    }
+
+    case "switchVersion": {
+      const conv = state[sessionId];
+      const fork = conv?.forks?.[action.forkId];
+      const idx = fork ? conv.messages.findIndex((m) => m.forkId === action.forkId) : -1;
+      if (idx === -1 || action.index === fork.active || !fork.versions[action.index]) {
+        return state;
+      }
+      const versions = fork.versions.slice();
+      versions[fork.active] = conv.messages.slice(idx);
+      return {
+        ...state,
+        [sessionId]: {
+          ...conv,
+          messages: [...conv.messages.slice(0, idx), ...versions[action.index]],
+          forks: {
+            ...conv.forks,
+            [action.forkId]: { versions, active: action.index },
+          },
+        },
+      };
+    }
+
+    // generic field patch (e.g. resetting an answer before regenerate)
+    case "update":
+      return updateMessage(state, sessionId, action.id, (m) => ({
+        ...m,
+        ...action.fields,
+      }));
+
+    case "delta":
+      return updateMessage(state, sessionId, action.id, (m) =>
+        isOpen(m)
+          ? { ...m, text: m.text + action.delta, status: STATUS.STREAMING }
+          : m
+      );
+
+    // `text` / `sources` are optional: a stream may end without a done payload
+    case "finalize":
+      return updateMessage(state, sessionId, action.id, (m) =>
+        isOpen(m)
+          ? {
+              ...m,
+              text: action.text ?? m.text,
+              sources: action.sources ?? m.sources,
+              status: STATUS.COMPLETE,
+              ts: Date.now(),
+            }
+          : m
+      );
+
+    case "fail":
+      return updateMessage(state, sessionId, action.id, (m) =>
+        isOpen(m) ? { ...m, status: STATUS.ERROR, error: action.error } : m
+      );
+
+    case "stop":
+      return updateMessage(state, sessionId, action.id, (m) =>
+        isOpen(m) ? { ...m, status: STATUS.STOPPED } : m
+      );
+
+    case "connection": {
+      const conv = state[sessionId];
+      if (!conv || !!conv.reconnecting === action.reconnecting) return state;
+      return {
+        ...state,
+        [sessionId]: { ...conv, reconnecting: action.reconnecting },
+      };
+    }
+
+    // an emptied history is a known state, so it counts as loaded
+    case "clear":
+      return {
+        ...state,
+        [sessionId]: {
+          ...state[sessionId],
+          messages: [],
+          forks: {},
+          cursor: null,
+          paging: null,
+          pageError: null,
+          loaded: true,
+          // both copies are empty now
+          keepLocal: false,
+        },
+      };
+
+    // forget a session entirely (deleted)
+    case "drop": {
+      if (!state[sessionId]) return state;
+      const { [sessionId]: _dropped, ...rest } = state;
+      return rest;
+    }
+
+    // a local-only session got its server id
+    case "rekey": {
+      if (!state[action.from]) return state;
+      const { [action.from]: conv, ...rest } = state;
+      return { ...rest, [action.to]: action.keepLocal ? { ...conv, keepLocal: true } : conv };
+    }
+
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,242 @@
+// src/store/conversationReducer.test.js
+import { describe, expect, it } from "vitest";
+import { conversationReducer, createMessage, STATUS } from "./conversationReducer";
+
+const S = "s1";
+
+function run(state, ...actions) {
+  return actions.reduce((s, a) => conversationReducer(s, { sessionId: S, ...a }), state);
+}
+
+const msg = (id, role = "user", fields = {}) => createMessage(role, id, { id, ...fields });
+const loaded = (messages, extra = {}) => run({}, { type: "load", messages, ...extra });
+const ids = (state) => state[S].messages.map((m) => m.id);
+const get = (state, id) => state[S].messages.find((m) => m.id === id);
+
+describe("answer status transitions", () => {
+  const start = () =>
+    run(loaded([msg("q")]), {
+      type: "append",
+      message: msg("a", "assistant", { text: "", status: STATUS.PENDING }),
+    });
+
+  it("streams deltas and completes with the done payload", () => {
+    let state = run(start(), { type: "delta", id: "a", delta: "Hel" });
+    expect(get(state, "a")).toMatchObject({ text: "Hel", status: STATUS.STREAMING });
+    state = run(state, { type: "delta", id: "a", delta: "lo" });
+    state = run(state, { type: "finalize", id: "a", text: "Hello!", sources: [{ url: "u" }] });
+    expect(get(state, "a")).toMatchObject({
+      text: "Hello!",
+      sources: [{ url: "u" }],
+      status: STATUS.COMPLETE,
+    });
+  });
+
+  it("keeps the streamed text when done has no payload", () => {
+    const state = run(
+      start(),
+      { type: "delta", id: "a", delta: "partial" },
+      { type: "finalize", id: "a" }
+    );
+    expect(get(state, "a")).toMatchObject({
+      text: "partial",
+      status: STATUS.COMPLETE,
+      sources: [],
+    });
+  });
+
+  it("fails and stops only open answers", () => {
+    const failed = run(start(), { type: "fail", id: "a", error: "boom" });
+    expect(get(failed, "a")).toMatchObject({ status: STATUS.ERROR, error: "boom" });
+
+    const stopped = run(start(), { type: "delta", id: "a", delta: "x" }, { type: "stop", id: "a" });
+    expect(get(stopped, "a")).toMatchObject({ status: STATUS.STOPPED, text: "x" });
+
+    // a finished answer ignores late events
+    const done = run(start(), { type: "finalize", id: "a", text: "done" });
+    for (const action of [
+      { type: "delta", id: "a", delta: "late" },
+      { type: "fail", id: "a", error: "late" },
+      { type: "stop", id: "a" },
+      { type: "finalize", id: "a", text: "again" },
+    ]) {
+      expect(run(done, action)).toBe(done);
+    }
+  });
+
+  it("inserts after a given message with afterId", () => {
+    const state = run(loaded([msg("q1"), msg("q2")]), {
+      type: "append",
+      afterId: "q1",
+      message: msg("a1", "assistant"),
+    });
+    expect(ids(state)).toEqual(["q1", "a1", "q2"]);
+  });
+
+  it("ignores updates for unknown messages", () => {
+    const state = loaded([msg("q")]);
+    expect(run(state, { type: "delta", id: "nope", delta: "x" })).toBe(state);
+  });
+});
+
+describe("branches", () => {
+  // q1 a1 q2 a2, then q2 edited into q2b
+  const forked = () =>
+    run(
+      loaded([msg("q1"), msg("a1", "assistant"), msg("q2"), msg("a2", "assistant")]),
+      { type: "fork", atId: "q2", message: msg("q2b") }
+    );
+  const forkId = (state) => get(state, "q2b").forkId;
+
+  it("fork keeps the old tail as version 0 and shows the new one", () => {
+    const state = forked();
+    expect(ids(state)).toEqual(["q1", "a1", "q2b"]);
+    const fork = state[S].forks[forkId(state)];
+    expect(fork.active).toBe(1);
+    expect(fork.versions.map((v) => v.map((m) => m.id))).toEqual([["q2", "a2"], ["q2b"]]);
+    expect(fork.versions[0][0].forkId).toBe(forkId(state));
+  });
+
+  it("forking at a branch point adds a version to the same fork", () => {
+    let state = forked();
+    const id = forkId(state);
+    state = run(state, { type: "append", message: msg("a2b", "assistant") });
+    state = run(state, { type: "fork", atId: "q2b", message: msg("q2c") });
+    const fork = state[S].forks[id];
+    expect(get(state, "q2c").forkId).toBe(id);
+    expect(Object.keys(state[S].forks)).toHaveLength(1);
+    expect(fork.active).toBe(2);
+    expect(fork.versions.map((v) => v.map((m) => m.id))).toEqual([
+      ["q2", "a2"],
+      ["q2b", "a2b"],
+      ["q2c"],
+    ]);
+  });
+
+  it("switchVersion swaps the tail and saves the one left", () => {
+    let state = run(forked(), { type: "append", message: msg("a2b", "assistant") });
+    const id = forkId(state);
+    state = run(state, { type: "switchVersion", forkId: id, index: 0 });
+    expect(ids(state)).toEqual(["q1", "a1", "q2", "a2"]);
+    expect(state[S].forks[id].versions[1].map((m) => m.id)).toEqual(["q2b", "a2b"]);
+
+    state = run(state, { type: "switchVersion", forkId: id, index: 1 });
+    expect(ids(state)).toEqual(["q1", "a1", "q2b", "a2b"]);
+  });
+
+  it("switchVersion ignores the active or a missing version", () => {
+    const state = forked();
+    expect(run(state, { type: "switchVersion", forkId: forkId(state), index: 1 })).toBe(state);
+    expect(run(state, { type: "switchVersion", forkId: forkId(state), index: 5 })).toBe(state);
+    expect(run(state, { type: "switchVersion", forkId: "nope", index: 0 })).toBe(state);
+  });
+
+  it("removing the first message of the active version drops that version", () => {
+    // with two versions the fork dissolves and the original comes back unmarked
+    const state = run(forked(), { type: "remove", id: "q2b" });
+    expect(ids(state)).toEqual(["q1", "a1", "q2", "a2"]);
+    expect(state[S].forks).toEqual({});
+    expect(get(state, "q2").forkId).toBeUndefined();
+  });
+
+  it("dropping one of three versions shows the previous one", () => {
+    let state = forked();
+    const id = forkId(state);
+    state = run(state, { type: "fork", atId: "q2b", message: msg("q2c") });
+    state = run(state, { type: "remove", id: "q2c" });
+    expect(ids(state)).toEqual(["q1", "a1", "q2b"]);
+    expect(state[S].forks[id].active).toBe(1);
+    expect(state[S].forks[id].versions).toHaveLength(2);
+  });
+
+  it("removing a message that doesn't start a version just removes it", () => {
+    const state = run(
+      forked(),
+      { type: "append", message: msg("a2b", "assistant") },
+      { type: "remove", id: "a2b" }
+    );
+    expect(ids(state)).toEqual(["q1", "a1", "q2b"]);
+    expect(Object.keys(state[S].forks)).toHaveLength(1);
+  });
+});
+
+describe("paging", () => {
+  it("load sets the cursor and prepend puts older pages in front", () => {
+    let state = loaded([msg("m3"), msg("m4")], { cursor: "m3" });
+    expect(state[S]).toMatchObject({ loaded: true, cursor: "m3" });
+
+    state = run(state, { type: "paging", page: "older" });
+    expect(state[S].paging).toBe("older");
+
+    // m3 overlaps the page already loaded and is skipped
+    state = run(state, {
+      type: "prepend",
+      messages: [msg("m1"), msg("m2"), msg("m3")],
+      cursor: "m1",
+    });
+    expect(ids(state)).toEqual(["m1", "m2", "m3", "m4"]);
+    expect(state[S]).toMatchObject({ cursor: "m1", paging: null, pageError: null });
+
+    state = run(state, { type: "prepend", messages: [msg("m0")] });
+    expect(state[S].cursor).toBeNull();
+  });
+
+  it("paging records and clears page errors", () => {
+    let state = run(loaded([]), {
+      type: "paging",
+      page: null,
+      error: { page: "older", message: "offline" },
+    });
+    expect(state[S]).toMatchObject({
+      paging: null,
+      pageError: { page: "older", message: "offline" },
+    });
+    state = run(state, { type: "paging", page: "older" });
+    expect(state[S].pageError).toBeNull();
+  });
+
+  it("prepend is ignored for a session that isn't loaded", () => {
+    expect(run({}, { type: "prepend", messages: [msg("m1")] })).toEqual({});
+  });
+
+  it("clear empties the history and its paging state", () => {
+    const state = run(
+      loaded([msg("m1")], { cursor: "m1" }),
+      { type: "paging", page: null, error: { page: "older", message: "x" } },
+      { type: "clear" }
+    );
+    expect(state[S]).toMatchObject({
+      messages: [],
+      forks: {},
+      cursor: null,
+      paging: null,
+      pageError: null,
+      loaded: true,
+    });
+  });
+});
+
+describe("sessions", () => {
+  it("rekey moves a conversation to its server id", () => {
+    const state = conversationReducer(loaded([msg("q")]), {
+      type: "rekey",
+      from: S,
+      to: "server",
+    });
+    expect(state[S]).toBeUndefined();
+    expect(state.server.messages.map((m) => m.id)).toEqual(["q"]);
+  });
+
+  it("rekey and drop ignore unknown sessions", () => {
+    const state = loaded([msg("q")]);
+    expect(conversationReducer(state, { type: "rekey", from: "x", to: "y" })).toBe(state);
+    expect(conversationReducer(state, { type: "drop", sessionId: "x" })).toBe(state);
+    expect(conversationReducer(state, { type: "drop", sessionId: S })).toEqual({});
+  });
+
+  it("connection only changes state when the flag flips", () => {
+    const state = loaded([]);
+    expect(run(state, { type: "connection", reconnecting: false })).toBe(state);
+    expect(run(state, { type: "connection", reconnecting: true })[S].reconnecting).toBe(true);
+  });
+});
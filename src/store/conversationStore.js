@@ -0,0 +1,108 @@
+// src/store/conversationStore.js
+import { useCallback, useSyncExternalStore } from "react";
+import { deleteCachedMessages, putMessages } from "../db/chatDb";
+import {
+  conversationReducer,
+  initialConversationState,
+} from "./conversationReducer";
+
+/**
+ * Module-level conversation store. Living outside React means a stream keeps
+ * writing into its own session even after the user switches chats, and any
+ * component (ChatWindow, Message, Sidebar) can subscribe to it.
+ * Changed sessions are mirrored to IndexedDB (db/chatDb.js), debounced so a
+ * streaming answer isn't written on every delta.
+ */
+let state = initialConversationState;
+const listeners = new Set();
+
+const PERSIST_DELAY = 500;
+let persistTimer = null;
+let persistedState = state;
+
+function persist() {
+  persistTimer = null;
+  const prev = persistedState;
+  persistedState = state;
+  for (const id of Object.keys(state)) {
+    if (state[id] !== prev[id] && state[id].loaded) {
+      const { messages, forks, cursor, keepLocal } = state[id];
+      putMessages(id, messages, forks, cursor, keepLocal);
+    }
+  }
+  for (const id of Object.keys(prev)) {
+    if (!state[id]) deleteCachedMessages(id);
+  }
+}
+
+export function getConversationState() {
+  return state;
+}
+
+export function dispatch(action) {
+  const next = conversationReducer(state, action);
+  if (next === state) return;
+  state = next;
+  listeners.forEach((l) => l());
+  if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY);
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const EMPTY = [];
+
+// All conversations (stable reference until something changes)
+export function useConversations() {
+  return useSyncExternalStore(subscribe, getConversationState);
+}
+
+// Messages of one session
+export function useMessages(sessionId) {
+  const get = useCallback(
+    () => state[sessionId]?.messages || EMPTY,
+    [sessionId]
+  );
+  return useSyncExternalStore(subscribe, get);
+}
+
+// One message by id; re-renders only when that message changes
+export function useMessage(sessionId, id) {
+  const get = useCallback(
+    () => state[sessionId]?.messages.find((m) => m.id === id) || null,
+    [sessionId, id]
+  );
+  return useSyncExternalStore(subscribe, get);
+}
+
+// Branch point `forkId` ({ versions, active }) or null
+export function useFork(sessionId, forkId) {
+  const get = useCallback(
+    () => (forkId && state[sessionId]?.forks?.[forkId]) || null,
+    [sessionId, forkId]
+  );
+  return useSyncExternalStore(subscribe, get);
+}
+
+// Paging state of a session's history: { loaded, hasOlder, paging, pageError }
+// (see conversationReducer)
+export function useHistoryPaging(sessionId) {
+  const get = useCallback(() => state[sessionId], [sessionId]);
+  const conv = useSyncExternalStore(subscribe, get);
+  return {
+    loaded: !!conv?.loaded,
+    hasOlder: !!conv?.cursor,
+    paging: conv?.paging || null,
+    pageError: conv?.pageError || null,
+  };
+}
+
+export function useReconnecting(sessionId) {
+  const get = useCallback(
+    () => !!state[sessionId]?.reconnecting,
+    [sessionId]
+  );
+  return useSyncExternalStore(subscribe, get);
+}
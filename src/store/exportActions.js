@@ -0,0 +1,45 @@
+// src/store/exportActions.js
+import {
+  downloadFile,
+  slugify,
+  toJSON,
+  toMarkdown,
+  toPrintHtml,
+} from "../utils/exportChat";
+import { loadAllHistory } from "./chatActions";
+import { STATUS } from "./conversationReducer";
+import { getConversationState } from "./conversationStore";
+import { getSessionsState } from "./sessionStore";
+
+const FORMATS = {
+  markdown: { ext: "md", mime: "text/markdown", build: toMarkdown },
+  json: { ext: "json", mime: "application/json", build: toJSON },
+  html: { ext: "html", mime: "text/html", build: toPrintHtml },
+};
+
+export const EXPORT_FORMATS = [
+  { value: "markdown", label: "Markdown" },
+  { value: "json", label: "JSON" },
+  { value: "html", label: "Printable HTML" },
+];
+
+/**
+ * Download session `sessionId` as "markdown" | "json" | "html". Any history
+ * not loaded yet (sessions never opened, older pages) is fetched first.
+ */
+export async function exportSession(sessionId, format) {
+  const spec = FORMATS[format];
+  const session = getSessionsState().sessions.find((s) => s.id === sessionId);
+  if (!spec || !session) return;
+
+  await loadAllHistory(sessionId);
+  // skip the empty placeholder of an answer that is still thinking
+  const messages = (getConversationState()[sessionId]?.messages || []).filter(
+    (m) => m.status !== STATUS.PENDING
+  );
+  downloadFile(
+    `${slugify(session.title)}.${spec.ext}`,
+    spec.build(session, messages),
+    spec.mime
+  );
+}
@@ -0,0 +1,128 @@
+// src/store/feedbackActions.js
+import { postFeedback } from "../api/feedback";
+import { dispatch, getConversationState } from "./conversationStore";
+
+/**
+ * Answer feedback. The rating is stored on the message itself
+ *   message.feedback: { rating, reason, comment, ts, status }
+ * (status "sending" | "sent" | "queued" | "failed") so it is cached and shown
+ * again after a reload. Feedback that can't be delivered waits in a small
+ * localStorage queue and is retried by flushFeedback().
+ */
+export const FEEDBACK_REASONS = [
+  { value: "wrong_source", label: "Wrong source" },
+  { value: "hallucination", label: "Hallucination" },
+  { value: "incomplete", label: "Incomplete" },
+];
+
+const QUEUE_KEY = "feedbackQueue";
+const QUEUE_MAX = 200;
+
+const isLocal = (sessionId) => sessionId.startsWith("local-");
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-QUEUE_MAX)));
+  else localStorage.removeItem(QUEUE_KEY);
+}
+
+// Where message `messageId` lives now (local sessions get a new id on sync)
+function locate(messageId) {
+  const conversations = getConversationState();
+  for (const sessionId of Object.keys(conversations)) {
+    const m = conversations[sessionId].messages.find((x) => x.id === messageId);
+    if (m) return { sessionId, message: m };
+  }
+  return null;
+}
+
+function setStatus(sessionId, messageId, status) {
+  const m = getConversationState()[sessionId]?.messages.find((x) => x.id === messageId);
+  if (!m?.feedback) return;
+  dispatch({
+    type: "update",
+    sessionId,
+    id: messageId,
+    fields: { feedback: { ...m.feedback, status } },
+  });
+}
+
+async function send(payload) {
+  try {
+    await postFeedback({ ...payload, messageId: payload.serverId || payload.messageId });
+    return "sent";
+  } catch (e) {
+    // a 4xx means the server won't take it no matter how often we retry
+    if (e.status && e.status < 500) {
+      console.warn("Feedback rejected", e.message || e);
+      return "failed";
+    }
+    return "queued";
+  }
+}
+
+/**
+ * Rate assistant message `id`: { rating: "up" | "down", reason?, comment? }.
+ * Rating the same message again replaces the earlier feedback.
+ */
+export async function rateMessage(sessionId, id, { rating, reason = null, comment = "" }) {
+  const message = getConversationState()[sessionId]?.messages.find((m) => m.id === id);
+  if (!message) return;
+  const feedback = { rating, reason, comment: comment.trim(), ts: Date.now() };
+  dispatch({
+    type: "update",
+    sessionId,
+    id,
+    fields: { feedback: { ...feedback, status: "sending" } },
+  });
+
+  const payload = { sessionId, messageId: id, serverId: message.serverId, ...feedback };
+  // drop an older queued rating for the same message
+  const queue = readQueue().filter((p) => p.messageId !== id);
+  const status = isLocal(sessionId) ? "queued" : await send(payload);
+  writeQueue(status === "queued" ? [...queue, payload] : queue);
+  setStatus(sessionId, id, status);
+}
+
+// Retry queued feedback, e.g. when the app (re)connects
+let flushing = false;
+export async function flushFeedback() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    const queued = readQueue();
+    const remaining = [];
+    for (const payload of queued) {
+      const where = locate(payload.messageId);
+      // re-rated since this was queued: the newer rating wins
+      if (where?.message.feedback && where.message.feedback.ts !== payload.ts) continue;
+      const sessionId = where?.sessionId || payload.sessionId;
+      if (isLocal(sessionId)) {
+        remaining.push(payload);
+        continue;
+      }
+      const status = await send({
+        ...payload,
+        sessionId,
+        serverId: where?.message.serverId || payload.serverId,
+      });
+      if (status === "queued") remaining.push(payload);
+      if (where) setStatus(sessionId, payload.messageId, status);
+    }
+    // ratings queued while we were sending replace older ones for that message
+    const key = (p) => `${p.messageId}:${p.ts}`;
+    const seen = new Set(queued.map(key));
+    const added = readQueue().filter((p) => !seen.has(key(p)));
+    const rerated = new Set(added.map((p) => p.messageId));
+    writeQueue([...remaining.filter((p) => !rerated.has(p.messageId)), ...added]);
+  } finally {
+    flushing = false;
+  }
+}
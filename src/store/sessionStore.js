@@ -0,0 +1,467 @@
+// src/store/sessionStore.js
+import { useSyncExternalStore } from "react";
+import * as api from "../api/sessions";
+import {
+  deleteCachedMessages,
+  getCachedConversation,
+  getCachedSessions,
+  putMessages,
+  putSessions,
+} from "../db/chatDb";
+import { normalizeSources } from "../utils/citations";
+import { parseImport } from "../utils/exportChat";
+import { createMessage } from "./conversationReducer";
+import {
+  dispatch as dispatchConversation,
+  getConversationState,
+} from "./conversationStore";
+import { initialSessionsState, sessionsReducer } from "./sessionsReducer";
+import { rekeySettings, resetSettings } from "./settingsStore";
+import { showToast } from "./toastStore";
+
+/**
+ * Module-level session list store — the one place the app reads sessions
+ * from. Mutations apply optimistically and roll back if the server says no.
+ * The list is mirrored to IndexedDB and the selection to localStorage, so the
+ * app opens from cache before /sessions answers.
+ */
+let state = {
+  ...initialSessionsState,
+  selectedId: localStorage.getItem("sessionId") || null,
+};
+const listeners = new Set();
+
+const PERSIST_DELAY = 300;
+let persistTimer = null;
+
+const isLocal = (id) => id.startsWith("local-");
+
+export function getSessionsState() {
+  return state;
+}
+
+function dispatch(action) {
+  const prev = state;
+  const next = sessionsReducer(state, action);
+  if (next === state) return;
+  state = next;
+
+  if (next.selectedId !== prev.selectedId) {
+    if (next.selectedId) localStorage.setItem("sessionId", next.selectedId);
+    else localStorage.removeItem("sessionId");
+  }
+  if (next.sessions !== prev.sessions && !persistTimer) {
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      putSessions(state.sessions.filter((s) => !s.pending));
+    }, PERSIST_DELAY);
+  }
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useSessions() {
+  return useSyncExternalStore(subscribe, getSessionsState);
+}
+
+// `focus` ({ messageId, query }) scrolls ChatWindow to a specific message
+export function selectSession(id, focus) {
+  dispatch({ type: "select", id, focus });
+}
+
+export function clearFocus() {
+  dispatch({ type: "focusHandled" });
+}
+
+function selectLatestIfNone() {
+  if (state.selectedId || state.sessions.length === 0) return;
+  const latest = [...state.sessions].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  dispatch({ type: "select", id: latest.id });
+}
+
+/**
+ * Load sessions cache-first: the IndexedDB copy is shown right away, then
+ * replaced by the server list. Local-only sessions survive the merge and are
+ * pushed to the server once it answers.
+ */
+export async function loadSessions() {
+  dispatch({ type: "loadStart" });
+  if (state.sessions.length === 0) {
+    const fromCache = await getCachedSessions();
+    if (fromCache.length) {
+      dispatch({ type: "loaded", sessions: fromCache });
+      selectLatestIfNone();
+    }
+  }
+
+  try {
+    // deletes still inside their undo window aren't on the server yet
+    const remote = (await api.listSessions()).filter((s) => !pendingDeletes.has(s.id));
+    const remoteIds = new Set(remote.map((s) => s.id));
+    const localOnly = state.sessions.filter(
+      (s) => isLocal(s.id) && !remoteIds.has(s.id)
+    );
+    dispatch({ type: "loaded", sessions: [...localOnly, ...remote] });
+    selectLatestIfNone();
+    await syncLocalSessions();
+  } catch (e) {
+    console.warn("Could not load sessions:", e.message || e);
+    dispatch({ type: "loadFailed", error: "Could not load chats" });
+  }
+  return state.sessions;
+}
+
+/**
+ * Push local-only sessions (created while the backend was down) to the
+ * server, then move their cached messages over to the new server id. If the
+ * server didn't keep the history sent along, the local copy stays
+ * authoritative (`keepLocal`, see conversationReducer).
+ */
+let syncing = false;
+export async function syncLocalSessions() {
+  if (syncing) return;
+  syncing = true;
+  try {
+    const conversations = getConversationState();
+    const locals = state.sessions.filter(
+      (s) =>
+        isLocal(s.id) &&
+        !s.pending &&
+        // don't move a chat out from under a running stream
+        !conversations[s.id]?.messages.some(
+          (m) => m.status === "pending" || m.status === "streaming"
+        )
+    );
+    for (const local of locals) {
+      const cached =
+        getConversationState()[local.id] ||
+        (await getCachedConversation(local.id));
+      const messages = cached?.messages || [];
+      // queued messages stay in the outbox, which sends them once the
+      // session has its server id; seeding them too would store them twice
+      const history = messages.filter((m) => m.status !== "queued");
+      const created = await api.createSession(
+        local.title,
+        history.map(({ role, text, ts, sources }) => ({ role, text, ts, sources }))
+      );
+      // a server that ignores the seed starts the chat empty; loading its
+      // history then would wipe the local one
+      const keepLocal = created.messagesCount < history.length;
+      dispatch({
+        type: "replace",
+        id: local.id,
+        session: {
+          ...created,
+          title: created.title || local.title,
+          // queued messages were counted when sent; delivering them only
+          // adds their answers
+          messagesCount: messages.length,
+          updatedAt: local.updatedAt,
+        },
+      });
+      rekeySettings(local.id, created.id);
+      if (getConversationState()[local.id]) {
+        dispatchConversation({ type: "rekey", from: local.id, to: created.id, keepLocal });
+      } else {
+        putMessages(created.id, messages, cached?.forks, null, keepLocal);
+        deleteCachedMessages(local.id);
+      }
+    }
+  } catch (e) {
+    // still offline (or rejected) — try again on the next load
+    console.warn("Local session sync failed", e.message || e);
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Create a session and select it. A placeholder shows up immediately; it is
+ * swapped for the server session on success, removed if the server rejects
+ * the request, and kept as a local-only session if the server can't be
+ * reached at all.
+ */
+export async function createSession(title = "") {
+  const now = Date.now();
+  const placeholder = {
+    id: `local-${now}`,
+    title,
+    createdAt: now,
+    updatedAt: now,
+    messagesCount: 0,
+    pending: true,
+  };
+  dispatch({ type: "add", session: placeholder });
+
+  try {
+    const session = await api.createSession(title);
+    dispatch({ type: "replace", id: placeholder.id, session });
+    dispatch({ type: "select", id: session.id });
+    return session;
+  } catch (e) {
+    if (e.status) {
+      dispatch({ type: "remove", id: placeholder.id });
+      dispatch({ type: "error", error: "Failed to create chat" });
+      throw e;
+    }
+    console.warn("Session API create failed - using local session", e.message || e);
+    const local = { ...placeholder, pending: false };
+    dispatch({ type: "replace", id: placeholder.id, session: local });
+    dispatch({ type: "select", id: local.id });
+    return local;
+  }
+}
+
+/**
+ * Restore a JSON export (utils/exportChat.js) as a new local session. It is
+ * selected right away and pushed to the server by syncLocalSessions, like a
+ * chat created offline. Resolves with the local session, or null if the file
+ * was rejected (the reason is exposed as the list error).
+ */
+export async function importSession(text) {
+  let data;
+  try {
+    data = parseImport(text);
+  } catch (e) {
+    dispatch({ type: "error", error: `Import failed: ${e.message}` });
+    return null;
+  }
+  const now = Date.now();
+  const messages = data.messages.map((m) =>
+    createMessage(m.role, m.text, { ts: m.ts, sources: normalizeSources(m.sources) })
+  );
+  const session = {
+    id: `local-${now}`,
+    title: data.title,
+    createdAt: messages[0]?.ts || now,
+    updatedAt: now,
+    messagesCount: messages.length,
+  };
+  dispatchConversation({ type: "load", sessionId: session.id, messages });
+  dispatch({ type: "add", session });
+  dispatch({ type: "select", id: session.id });
+  await syncLocalSessions();
+  return session;
+}
+
+// How long a delete / clear waits (and can be undone) before the server
+// request goes out
+const UNDO_DELAY = 5000;
+
+// sessionId -> { timer, run } for deletes and clears waiting out UNDO_DELAY
+const pendingDeletes = new Map();
+const pendingClears = new Map();
+
+// Leaving the page sends whatever is still waiting instead of dropping it
+window.addEventListener("pagehide", () => {
+  for (const pending of [...pendingDeletes.values(), ...pendingClears.values()]) {
+    clearTimeout(pending.timer);
+    pending.run({ keepalive: true });
+  }
+});
+
+/**
+ * Delete a session. It disappears right away, but the server delete is held
+ * back for UNDO_DELAY so the "Undo" toast can bring it back. If the server
+ * rejects the delete the session is restored and an error toast explains why.
+ */
+export function deleteSession(id) {
+  const index = state.sessions.findIndex((s) => s.id === id);
+  if (index === -1) return;
+  const session = state.sessions[index];
+  const wasSelected = state.selectedId === id;
+  dispatch({ type: "remove", id });
+
+  const restore = () =>
+    dispatch({ type: "restore", session, index, selected: wasSelected });
+
+  const run = async ({ keepalive } = {}) => {
+    pendingDeletes.delete(id);
+    try {
+      // local-only sessions never reached the server
+      if (!isLocal(id)) await api.deleteSession(id, { keepalive });
+      dispatchConversation({ type: "drop", sessionId: id });
+      deleteCachedMessages(id);
+      resetSettings(id);
+    } catch (e) {
+      console.warn("Failed to delete session on server", e.message || e);
+      restore();
+      showToast({
+        kind: "error",
+        message: `Couldn't delete "${session.title || "New chat"}": ${e.message || e}`,
+      });
+    }
+  };
+
+  pendingDeletes.set(id, { timer: setTimeout(run, UNDO_DELAY), run });
+  showToast({
+    message: "Chat deleted",
+    duration: UNDO_DELAY,
+    action: {
+      label: "Undo",
+      onClick: () => {
+        const pending = pendingDeletes.get(id);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pendingDeletes.delete(id);
+        restore();
+      },
+    },
+  });
+}
+
+// True while a clear of `id` is waiting out its undo window
+export function isClearPending(id) {
+  return pendingClears.has(id);
+}
+
+// Resolves once a pending clear of `id` has gone out (or failed) or was
+// undone; right away when there is none
+export function clearSettled(id) {
+  return pendingClears.get(id)?.settled ?? Promise.resolve();
+}
+
+/**
+ * Clear a session's messages but keep the session. Same undo window as
+ * deleteSession; DELETE /sessions/:id/messages goes out once it has passed.
+ * Callers stop a running answer first. Messages sent during the window stay
+ * queued until it settles (see clearSettled), so the delayed delete can't
+ * wipe them on the server; Undo puts them after the restored history.
+ */
+export function clearHistory(id) {
+  const session = state.sessions.find((s) => s.id === id);
+  if (!session) return;
+  const conversation = getConversationState()[id];
+  dispatchConversation({ type: "clear", sessionId: id });
+  dispatch({ type: "patch", id, fields: { messagesCount: 0, updatedAt: Date.now() } });
+
+  const restore = () => {
+    // only a chat open here can have been written to since the clear
+    const added = getConversationState()[id]?.messages || [];
+    if (conversation?.loaded) {
+      dispatchConversation({
+        type: "load",
+        sessionId: id,
+        messages: [...conversation.messages, ...added],
+        forks: conversation.forks,
+        cursor: conversation.cursor,
+        keepLocal: conversation.keepLocal,
+      });
+    } else {
+      // never opened here: let loadHistory fetch it again
+      dispatchConversation({ type: "drop", sessionId: id });
+    }
+    dispatch({
+      type: "patch",
+      id,
+      fields: {
+        messagesCount: session.messagesCount + added.length,
+        ...(added.length ? {} : { updatedAt: session.updatedAt }),
+      },
+    });
+  };
+
+  let settle;
+  const settled = new Promise((resolve) => (settle = resolve));
+
+  const run = async ({ keepalive } = {}) => {
+    pendingClears.delete(id);
+    try {
+      if (!isLocal(id)) await api.clearSessionMessages(id, { keepalive });
+    } catch (e) {
+      console.warn("Failed to clear session on server", e.message || e);
+      restore();
+      showToast({
+        kind: "error",
+        message: `Couldn't clear "${session.title || "New chat"}": ${e.message || e}`,
+      });
+    } finally {
+      settle();
+    }
+  };
+
+  // clearing again restarts the window; whoever waited on the first one
+  // checks isClearPending again
+  const previous = pendingClears.get(id);
+  clearTimeout(previous?.timer);
+  previous?.settle();
+  pendingClears.set(id, { timer: setTimeout(run, UNDO_DELAY), run, settled, settle });
+  showToast({
+    message: "History cleared",
+    duration: UNDO_DELAY,
+    action: {
+      label: "Undo",
+      onClick: () => {
+        const pending = pendingClears.get(id);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pendingClears.delete(id);
+        restore();
+        pending.settle();
+      },
+    },
+  });
+}
+
+/**
+ * Adjust a session's message count. Returns an undo function so callers can
+ * roll the optimistic change back if the send fails.
+ */
+export function patchSessionMessages(
+  sessionId,
+  { deltaCount = 0, updatedAt = Date.now() }
+) {
+  const prevUpdatedAt = state.sessions.find((s) => s.id === sessionId)?.updatedAt;
+  dispatch({ type: "messagesDelta", id: sessionId, deltaCount, updatedAt });
+  return () =>
+    dispatch({
+      type: "messagesDelta",
+      id: sessionId,
+      deltaCount: -deltaCount,
+      updatedAt: prevUpdatedAt ?? updatedAt,
+    });
+}
+
+const TITLE_MAX = 48;
+
+// "  how do I   reset my password?? " -> "how do I reset my password??"
+export function titleFromQuestion(text) {
+  const clean = text.replace(/\s+/g, " ").trim();
+  if (clean.length <= TITLE_MAX) return clean;
+  const cut = clean.slice(0, TITLE_MAX);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > 20 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Rename a session: applied immediately, persisted with PATCH /sessions/:id
+ * and rolled back if the server rejects it. Local-only sessions skip the call.
+ */
+export async function renameSession(id, title) {
+  const session = state.sessions.find((s) => s.id === id);
+  const next = title.trim();
+  if (!session || !next || next === session.title) return;
+  dispatch({ type: "patch", id, fields: { title: next } });
+
+  if (id.startsWith("local-")) return;
+  try {
+    await api.updateSession(id, { title: next });
+  } catch (e) {
+    console.warn("Failed to rename session", e.message || e);
+    dispatch({ type: "patch", id, fields: { title: session.title } });
+    dispatch({ type: "error", error: "Failed to rename chat" });
+  }
+}
+
+// Replace session info (useful when server returns authoritative data)
+export function replaceSession(sessionId, fields) {
+  dispatch({ type: "patch", id: sessionId, fields });
+}
+
+export function clearSessionsError() {
+  dispatch({ type: "error", error: null });
+}
@@ -0,0 +1,101 @@
+// src/store/sessionsReducer.js
+
+/**
+ * Session list state:
+ *   { sessions: Session[], selectedId, focus, loading: boolean, error: string | null }
+ * `focus` ({ messageId, query }) asks ChatWindow to scroll to a message, e.g.
+ * after picking a search result.
+ * Session: { id, title, createdAt, updatedAt, messagesCount, pending? }
+ * (see normalizeSession in api/sessions.js). Ids starting with "local-" have
+ * not reached the server yet.
+ */
+export const initialSessionsState = {
+  sessions: [],
+  selectedId: null,
+  focus: null,
+  loading: false,
+  error: null,
+};
+
+export function sessionsReducer(state, action) {
+  switch (action.type) {
+    case "loadStart":
+      return { ...state, loading: true, error: null };
+
+    case "loaded":
+      return { ...state, loading: false, sessions: action.sessions };
+
+    case "loadFailed":
+      return { ...state, loading: false, error: action.error };
+
+    case "select":
+      return { ...state, selectedId: action.id, focus: action.focus || null };
+
+    case "focusHandled":
+      return state.focus ? { ...state, focus: null } : state;
+
+    case "add":
+      return { ...state, sessions: [action.session, ...state.sessions] };
+
+    // put a session back where it was (rollback of an optimistic remove)
+    case "restore": {
+      if (state.sessions.some((s) => s.id === action.session.id)) return state;
+      const sessions = state.sessions.slice();
+      sessions.splice(Math.min(action.index, sessions.length), 0, action.session);
+      return {
+        ...state,
+        sessions,
+        selectedId: action.selected ? action.session.id : state.selectedId,
+      };
+    }
+
+    // swap a placeholder for the server's session (the id may change)
+    case "replace":
+      return {
+        ...state,
+        sessions: state.sessions.map((s) =>
+          s.id === action.id ? action.session : s
+        ),
+        selectedId:
+          state.selectedId === action.id ? action.session.id : state.selectedId,
+      };
+
+    case "remove":
+      return {
+        ...state,
+        sessions: state.sessions.filter((s) => s.id !== action.id),
+        selectedId: state.selectedId === action.id ? null : state.selectedId,
+      };
+
+    case "patch": {
+      if (!state.sessions.some((s) => s.id === action.id)) return state;
+      return {
+        ...state,
+        sessions: state.sessions.map((s) =>
+          s.id === action.id ? { ...s, ...action.fields } : s
+        ),
+      };
+    }
+
+    case "messagesDelta":
+      if (!state.sessions.some((s) => s.id === action.id)) return state;
+      return {
+        ...state,
+        sessions: state.sessions.map((s) =>
+          s.id === action.id
+            ? {
+                ...s,
+                messagesCount: Math.max(0, (s.messagesCount || 0) + action.deltaCount),
+                updatedAt: action.updatedAt,
+              }
+            : s
+        ),
+      };
+
+    case "error":
+      return { ...state, error: action.error };
+
+    default:
+      return state;
+  }
+}
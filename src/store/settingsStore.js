@@ -0,0 +1,131 @@
+// src/store/settingsStore.js
+import { useCallback, useSyncExternalStore } from "react";
+
+/**
+ * Per-session chat settings, saved in localStorage:
+ *   { stream, topK, temperature, maxTokens, preset }
+ * Sessions without saved settings use DEFAULT_SETTINGS. toRequestOptions()
+ * turns them into the extra fields sent with POST /chat.
+ */
+export const SYSTEM_PRESETS = [
+  { id: "default", label: "Default", prompt: "" },
+  {
+    id: "concise",
+    label: "Concise",
+    prompt: "Answer briefly, in a few sentences, using only the retrieved sources.",
+  },
+  {
+    id: "detailed",
+    label: "Detailed",
+    prompt:
+      "Give a thorough, well-structured answer with headings or lists where useful, based on the retrieved sources.",
+  },
+  {
+    id: "strict",
+    label: "Strict citations",
+    prompt:
+      "Only state facts supported by the retrieved sources and cite every claim as [n]. If the sources don't cover the question, say so.",
+  },
+];
+
+export const DEFAULT_SETTINGS = {
+  stream: true,
+  topK: 4,
+  temperature: 0.2,
+  maxTokens: 1024,
+  preset: "default",
+};
+
+// input bounds, shared with the settings drawer
+export const LIMITS = {
+  topK: { min: 1, max: 20, step: 1 },
+  temperature: { min: 0, max: 2, step: 0.1 },
+  maxTokens: { min: 64, max: 8192, step: 64 },
+};
+
+const STORAGE_KEY = "chatSettings";
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+let state = readAll(); // { [sessionId]: Partial<Settings> }
+const listeners = new Set();
+
+function setState(next) {
+  state = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, Number(value)));
+
+function sanitize(patch) {
+  const out = { ...patch };
+  for (const key of Object.keys(LIMITS)) {
+    if (key in out) {
+      const v = clamp(out[key], LIMITS[key]);
+      if (Number.isFinite(v)) out[key] = v;
+      else delete out[key];
+    }
+  }
+  if ("preset" in out && !SYSTEM_PRESETS.some((p) => p.id === out.preset)) {
+    delete out.preset;
+  }
+  return out;
+}
+
+// cache merged objects so useSyncExternalStore sees a stable snapshot
+const merged = new WeakMap();
+const EMPTY = {};
+
+export function getSettings(sessionId) {
+  const saved = (sessionId && state[sessionId]) || EMPTY;
+  if (!merged.has(saved)) merged.set(saved, { ...DEFAULT_SETTINGS, ...saved });
+  return merged.get(saved);
+}
+
+export function useSettings(sessionId) {
+  const get = useCallback(() => getSettings(sessionId), [sessionId]);
+  return useSyncExternalStore(subscribe, get);
+}
+
+export function updateSettings(sessionId, patch) {
+  if (!sessionId) return;
+  setState({ ...state, [sessionId]: { ...state[sessionId], ...sanitize(patch) } });
+}
+
+export function resetSettings(sessionId) {
+  if (!state[sessionId]) return;
+  const { [sessionId]: _removed, ...rest } = state;
+  setState(rest);
+}
+
+// a local-only session got its server id
+export function rekeySettings(from, to) {
+  if (!state[from]) return;
+  const { [from]: settings, ...rest } = state;
+  setState({ ...rest, [to]: settings });
+}
+
+// Extra POST /chat body fields for a session
+export function toRequestOptions(sessionId) {
+  const s = getSettings(sessionId);
+  const preset = SYSTEM_PRESETS.find((p) => p.id === s.preset);
+  return {
+    topK: s.topK,
+    temperature: s.temperature,
+    maxTokens: s.maxTokens,
+    // the default preset leaves the system prompt to the server
+    ...(preset?.prompt ? { systemPrompt: preset.prompt } : {}),
+  };
+}
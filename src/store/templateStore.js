@@ -0,0 +1,72 @@
+// src/store/templateStore.js
+import { useSyncExternalStore } from "react";
+import { parseTemplates } from "../utils/templates";
+import { newId } from "./conversationReducer";
+
+/**
+ * Saved prompt templates (utils/templates.js), kept in localStorage and
+ * shared between sessions. Newest first.
+ */
+const STORAGE_KEY = "promptTemplates";
+
+function read() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+let templates = read();
+const listeners = new Set();
+
+function setTemplates(next) {
+  templates = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useTemplates() {
+  return useSyncExternalStore(subscribe, () => templates);
+}
+
+// Create (no `id`) or update a template; returns it
+export function saveTemplate({ id, name, text }) {
+  const template = {
+    id: id || newId(),
+    name: name.trim() || "Untitled template",
+    text,
+    updatedAt: Date.now(),
+  };
+  setTemplates(
+    id && templates.some((t) => t.id === id)
+      ? templates.map((t) => (t.id === id ? template : t))
+      : [template, ...templates]
+  );
+  return template;
+}
+
+export function deleteTemplate(id) {
+  setTemplates(templates.filter((t) => t.id !== id));
+}
+
+/**
+ * Add the templates from a shared JSON file. Ones identical to a saved
+ * template are skipped. Returns how many were added; throws on an
+ * invalid file (see parseTemplates).
+ */
+export function importTemplates(text) {
+  const known = new Set(templates.map((t) => `${t.name}\n${t.text}`));
+  const now = Date.now();
+  const added = parseTemplates(text)
+    .filter((t) => !known.has(`${t.name}\n${t.text}`))
+    .map((t) => ({ id: newId(), name: t.name, text: t.text, updatedAt: now }));
+  if (added.length) setTemplates([...added, ...templates]);
+  return added.length;
+}
@@ -0,0 +1,77 @@
+// src/store/themeStore.js
+import { useSyncExternalStore } from "react";
+
+/**
+ * Colour theme. The user's choice ("system" | "light" | "dark" |
+ * "contrast") is saved in localStorage; "system" follows
+ * prefers-color-scheme (and prefers-contrast: more) and keeps following it
+ * when the OS setting changes. The resolved theme goes on <html data-theme>,
+ * which selects the token set in styles/main.scss.
+ */
+export const THEMES = [
+  { value: "system", label: "System theme" },
+  { value: "light", label: "Light" },
+  { value: "dark", label: "Dark" },
+  { value: "contrast", label: "High contrast" },
+];
+
+const STORAGE_KEY = "theme";
+
+const media = (query) =>
+  typeof window !== "undefined" && window.matchMedia ? window.matchMedia(query) : null;
+const prefersDark = media("(prefers-color-scheme: dark)");
+const prefersContrast = media("(prefers-contrast: more)");
+
+function readPreference() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return THEMES.some((t) => t.value === saved) ? saved : "system";
+  } catch {
+    return "system";
+  }
+}
+
+let preference = readPreference();
+const listeners = new Set();
+
+function resolve(pref) {
+  if (pref !== "system") return pref;
+  if (prefersContrast?.matches) return "contrast";
+  // without matchMedia keep the original dark look
+  return prefersDark?.matches === false ? "light" : "dark";
+}
+
+// { preference, theme } where `theme` is what is actually shown
+let snapshot = null;
+
+function apply() {
+  snapshot = { preference, theme: resolve(preference) };
+  if (typeof document !== "undefined") {
+    document.documentElement.dataset.theme = snapshot.theme;
+  }
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useTheme() {
+  return useSyncExternalStore(subscribe, () => snapshot);
+}
+
+export function setTheme(value) {
+  preference = THEMES.some((t) => t.value === value) ? value : "system";
+  try {
+    if (preference === "system") localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, preference);
+  } catch {
+    // storage unavailable (private mode); the choice lasts for this visit
+  }
+  apply();
+}
+
+prefersDark?.addEventListener?.("change", () => preference === "system" && apply());
+prefersContrast?.addEventListener?.("change", () => preference === "system" && apply());
+apply();
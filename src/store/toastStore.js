@@ -0,0 +1,39 @@
+// src/store/toastStore.js
+import { useSyncExternalStore } from "react";
+import { newId } from "./conversationReducer";
+
+/**
+ * Transient notifications shown by components/Toasts.jsx.
+ *   Toast: { id, message, kind: "info" | "error", action?: { label, onClick } }
+ * Toasts dismiss themselves after `duration` ms (0 keeps them until closed).
+ */
+let toasts = [];
+const listeners = new Set();
+const timers = new Map();
+
+function setToasts(next) {
+  toasts = next;
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useToasts() {
+  return useSyncExternalStore(subscribe, () => toasts);
+}
+
+export function showToast({ message, kind = "info", action, duration = 5000 }) {
+  const id = newId();
+  setToasts([...toasts, { id, message, kind, action }]);
+  if (duration) timers.set(id, setTimeout(() => dismissToast(id), duration));
+  return id;
+}
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  if (toasts.some((t) => t.id === id)) setToasts(toasts.filter((t) => t.id !== id));
+}
@@ -0,0 +1,36 @@
+// src/test/helpers.js
+import { fireEvent, screen, waitFor } from "@testing-library/react";
+import { expect } from "vitest";
+
+// The mock backend started by setup.js, for arranging data behind the UI's back
+export async function backend(path, { method = "GET", body } = {}) {
+  const resp = await fetch(`${process.env.VITE_API_BASE_URL}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body && JSON.stringify(body),
+  });
+  return resp.status === 204 ? null : resp.json();
+}
+
+// Type `text` into the composer and press Enter
+export function ask(text) {
+  const box = screen.getByRole("textbox", { name: "Message" });
+  fireEvent.change(box, { target: { value: text } });
+  fireEvent.keyDown(box, { key: "Enter" });
+}
+
+// The latest answer bubble
+export function lastAnswer() {
+  const answers = screen.getAllByRole("article", { name: "Assistant" });
+  return answers[answers.length - 1];
+}
+
+// Resolves once `sessionId`'s history is in and no page is loading, so a
+// message sent next isn't overwritten by the history arriving late
+export async function historyLoaded(sessionId) {
+  const { getConversationState } = await import("../store/conversationStore");
+  await waitFor(() => {
+    const conv = getConversationState()[sessionId];
+    expect(conv?.loaded && !conv.paging).toBe(true);
+  });
+}
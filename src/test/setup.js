@@ -0,0 +1,46 @@
+// src/test/setup.js
+import "@testing-library/jest-dom/vitest";
+import { cleanup, configure } from "@testing-library/react";
+import { IDBFactory } from "fake-indexeddb";
+import { afterAll, afterEach, beforeEach, expect, vi } from "vitest";
+import * as axeMatchers from "vitest-axe/matchers";
+import { createMockServer, resetMock } from "../../mock/server.js";
+
+/**
+ * Runs before every test file. Each file gets its own mock backend
+ * (mock/server.js) on a free port; api/client.js picks it up through
+ * VITE_API_BASE_URL, which vitest serves from process.env. Between tests
+ * the backend, storage and app modules are reset, so tests import the app
+ * with `await import(...)` to get fresh stores.
+ */
+expect.extend(axeMatchers);
+
+// the mock streams a full answer in about four seconds
+configure({ asyncUtilTimeout: 8000 });
+
+// jsdom has no layout; MessageList only needs the observer to exist
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const server = createMockServer({ log: () => {} });
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+process.env.VITE_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+  cleanup();
+  resetMock();
+  localStorage.clear();
+  vi.resetModules();
+});
+
+afterAll(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
@@ -0,0 +1,53 @@
+// src/utils/citations.js
+
+/**
+ * Normalize a single retrieved source into { title, url, snippet, score }.
+ * Backends differ in naming (metadata.title, source, text, pageContent...),
+ * so we accept the common variants and fall back to sensible defaults.
+ */
+export function normalizeSource(raw, index = 0) {
+  if (!raw) return null;
+  if (typeof raw === "string") {
+    const isUrl = /^https?:\/\//i.test(raw);
+    return {
+      title: isUrl ? raw : `Source ${index + 1}`,
+      url: isUrl ? raw : "",
+      snippet: isUrl ? "" : raw,
+      score: null,
+    };
+  }
+  const meta = raw.metadata || {};
+  const url = raw.url || raw.link || meta.url || meta.source || "";
+  const score = Number(raw.score ?? raw.similarity ?? meta.score);
+  return {
+    title: raw.title || meta.title || url || `Source ${index + 1}`,
+    url,
+    snippet: raw.snippet || raw.text || raw.content || raw.pageContent || "",
+    score: Number.isFinite(score) ? score : null,
+  };
+}
+
+export function normalizeSources(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(normalizeSource).filter(Boolean);
+}
+
+// Source URLs come from the backend or an imported file; only web links are
+// rendered as links, so a javascript: or data: URL can't run when clicked
+export const isWebUrl = (url) => typeof url === "string" && /^https?:/i.test(url);
+
+const sourceKey = (s) => (s.url || s.title || "").toLowerCase();
+
+/**
+ * Compare the source sets of two answers. Sources match on url (or title
+ * when there is no url). Returns { both, onlyA, onlyB } lists of sources.
+ */
+export function diffSources(a = [], b = []) {
+  const keysA = new Set(a.map(sourceKey));
+  const keysB = new Set(b.map(sourceKey));
+  return {
+    both: a.filter((s) => keysB.has(sourceKey(s))),
+    onlyA: a.filter((s) => !keysB.has(sourceKey(s))),
+    onlyB: b.filter((s) => !keysA.has(sourceKey(s))),
+  };
+}
@@ -0,0 +1,64 @@
+// src/utils/diff.js
+
+/**
+ * Word-level diff of two texts (longest common subsequence over words and
+ * the whitespace between them). Returns runs of
+ *   { type: "same" | "added" | "removed", text }
+ * in reading order; "removed" runs come from `a`, "added" runs from `b`.
+ */
+const MAX_CELLS = 4_000_000;
+
+export function diffWords(a, b) {
+  const x = (a || "").split(/(\s+)/).filter(Boolean);
+  const y = (b || "").split(/(\s+)/).filter(Boolean);
+  const n = x.length;
+  const m = y.length;
+
+  // too large to compare word by word: show it as a full replacement
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    return merge([
+      { type: "removed", text: a || "" },
+      { type: "added", text: b || "" },
+    ]);
+  }
+
+  // lcs[i][j] = LCS length of x[i..] and y[j..]
+  const w = m + 1;
+  const lcs = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * w + j] =
+        x[i] === y[j]
+          ? lcs[(i + 1) * w + j + 1] + 1
+          : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const runs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) {
+      runs.push({ type: "same", text: x[i++] });
+      j++;
+    } else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) {
+      runs.push({ type: "removed", text: x[i++] });
+    } else {
+      runs.push({ type: "added", text: y[j++] });
+    }
+  }
+  while (i < n) runs.push({ type: "removed", text: x[i++] });
+  while (j < m) runs.push({ type: "added", text: y[j++] });
+  return merge(runs);
+}
+
+function merge(runs) {
+  const out = [];
+  for (const run of runs) {
+    if (!run.text) continue;
+    const prev = out[out.length - 1];
+    if (prev?.type === run.type) prev.text += run.text;
+    else out.push({ ...run });
+  }
+  return out;
+}
@@ -0,0 +1,173 @@
+// src/utils/exportChat.js
+import { isWebUrl } from "./citations";
+import { renderMarkdown } from "./markdown";
+
+/**
+ * Conversation export formats. All take the normalized session
+ * ({ title, createdAt, updatedAt }) and store messages
+ * ({ role, text, ts, sources }).
+ */
+export const EXPORT_FORMAT = "voosh-chat";
+export const EXPORT_VERSION = 1;
+
+const fmtTime = (ts) => (ts ? new Date(ts).toLocaleString() : "");
+const titleOf = (session) => session.title || "Chat";
+
+export function toMarkdown(session, messages) {
+  const lines = [`# ${titleOf(session)}`, "", `_Exported ${fmtTime(Date.now())}_`, ""];
+  for (const m of messages) {
+    const who = m.role === "user" ? "You" : m.role === "assistant" ? "Assistant" : "System";
+    lines.push(`## ${who} · ${fmtTime(m.ts)}`, "", m.text || "", "");
+    if (m.sources?.length) {
+      lines.push("**Sources**", "");
+      m.sources.forEach((s, i) => {
+        const title = s.url ? `[${s.title}](${s.url})` : s.title;
+        const score = s.score != null ? ` (score ${s.score.toFixed(2)})` : "";
+        lines.push(`${i + 1}. ${title}${score}`);
+        if (s.snippet) lines.push(`   > ${s.snippet.replace(/\s+/g, " ")}`);
+      });
+      lines.push("");
+    }
+  }
+  return lines.join("\n");
+}
+
+export function toJSON(session, messages) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      session: {
+        title: session.title || "",
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+      },
+      messages: messages.map((m) => ({
+        role: m.role,
+        text: m.text,
+        ts: m.ts,
+        status: m.status,
+        sources: m.sources || [],
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const PRINT_CSS = `
+  body { font: 14px/1.55 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111; max-width: 780px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .meta { color: #666; font-size: 12px; margin-bottom: 24px; }
+  .msg { margin: 0 0 18px; padding: 12px 14px; border-radius: 6px; break-inside: avoid; }
+  .msg.user { background: #eef3fb; }
+  .msg.assistant { border: 1px solid #ddd; }
+  .who { font-size: 12px; font-weight: 600; color: #555; margin-bottom: 6px; }
+  .text.user { white-space: pre-wrap; }
+  pre { background: #f5f5f5; padding: 8px 10px; overflow-x: auto; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 3px 6px; }
+  .sources { margin-top: 10px; font-size: 12px; color: #444; }
+  .sources li { margin-bottom: 4px; }
+  @media print { body { margin: 0; } a { color: inherit; } .msg { border-color: #bbb; } }
+`;
+
+/**
+ * A self-contained HTML page styled for printing / "Save as PDF".
+ * Assistant markdown is rendered through the same sanitizer as the chat.
+ */
+export function toPrintHtml(session, messages) {
+  const body = messages
+    .map((m) => {
+      const who = m.role === "user" ? "You" : m.role === "assistant" ? "Assistant" : "System";
+      const text =
+        m.role === "assistant"
+          ? `<div class="text">${renderMarkdown(m.text, m.sources?.length || 0)}</div>`
+          : `<div class="text user">${escapeHtml(m.text)}</div>`;
+      const sources = m.sources?.length
+        ? `<ol class="sources">${m.sources
+            .map(
+              (s) =>
+                `<li>${isWebUrl(s.url) ? `<a href="${escapeHtml(s.url)}">${escapeHtml(s.title)}</a>` : escapeHtml(s.title)}${
+                  s.snippet ? ` — ${escapeHtml(s.snippet)}` : ""
+                }</li>`
+            )
+            .join("")}</ol>`
+        : "";
+      return `<section class="msg ${m.role}"><div class="who">${who} · ${escapeHtml(
+        fmtTime(m.ts)
+      )}</div>${text}${sources}</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(titleOf(session))}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(titleOf(session))}</h1>
+<div class="meta">${messages.length} messages · exported ${escapeHtml(fmtTime(Date.now()))}</div>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Validate an imported JSON export. Returns { title, messages } or throws
+ * an Error with a message suitable for the UI.
+ */
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file");
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+    throw new Error("Not a conversation export");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error("This export was made by a newer version of the app");
+  }
+  const messages = data.messages
+    .filter((m) => m && typeof m.text === "string" && ["user", "assistant", "system"].includes(m.role))
+    .map((m) => ({
+      role: m.role,
+      text: m.text,
+      ts: Number(m.ts) || Date.now(),
+      sources: Array.isArray(m.sources) ? m.sources : [],
+    }));
+  return { title: String(data.session?.title || "Imported chat"), messages };
+}
+
+export function slugify(title) {
+  return (
+    (title || "chat")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "chat"
+  );
+}
+
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,33 @@
+// src/utils/exportChat.test.js
+import { describe, expect, it } from "vitest";
+import { toPrintHtml } from "./exportChat";
+
+const printed = (sources) =>
+  toPrintHtml({ title: "Docs" }, [
+    { role: "assistant", text: "See the docs [1].", ts: 1, sources },
+  ]);
+
+describe("toPrintHtml", () => {
+  it("links http and https sources", () => {
+    const html = printed([
+      { title: "Guide", url: "https://example.com/guide?a=1&b=2" },
+      { title: "Old guide", url: "HTTP://example.com/old" },
+    ]);
+    expect(html).toContain('<a href="https://example.com/guide?a=1&amp;b=2">Guide</a>');
+    expect(html).toContain('<a href="HTTP://example.com/old">Old guide</a>');
+  });
+
+  it("shows other sources as plain text", () => {
+    const html = printed([
+      { title: "Script", url: "javascript:alert(1)" },
+      { title: "Data", url: "data:text/html,<script>alert(1)</script>" },
+      { title: "Spaced", url: " javascript:alert(1)" },
+      { title: "Relative", url: "/local/file" },
+    ]);
+    const sources = html.slice(html.indexOf('<ol class="sources">'));
+    expect(sources).not.toContain("<a ");
+    expect(sources).toContain("<li>Script</li>");
+    expect(sources).toContain("<li>Relative</li>");
+    expect(html).not.toContain("javascript:");
+  });
+});
@@ -0,0 +1,140 @@
+// src/utils/markdown.js
+import DOMPurify from "dompurify";
+import { Marked } from "marked";
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s/;
+
+/**
+ * Split markdown into top-level blocks so a streaming answer can be rendered
+ * block by block: everything but the last block is final and never re-parsed.
+ *
+ * Returns [{ type: "md", text }] and [{ type: "code", lang, code, closed }].
+ * A new md block starts after a blank line, unless the next line is indented
+ * or continues a list (so loose lists stay in one block).
+ */
+export function splitBlocks(text) {
+  const blocks = [];
+  let md = null;
+  let code = null;
+  let afterBlank = false;
+
+  const flushMd = () => {
+    if (md && md.lines.some((l) => l.trim())) {
+      blocks.push({ type: "md", text: md.lines.join("\n").trimEnd() });
+    }
+    md = null;
+  };
+
+  for (const line of (text || "").split("\n")) {
+    if (code) {
+      const close = FENCE_RE.exec(line);
+      if (
+        close &&
+        !close[2] &&
+        close[1][0] === code.fence[0] &&
+        close[1].length >= code.fence.length
+      ) {
+        blocks.push({ type: "code", lang: code.lang, code: code.lines.join("\n"), closed: true });
+        code = null;
+      } else {
+        code.lines.push(line);
+      }
+      continue;
+    }
+
+    const open = FENCE_RE.exec(line);
+    if (open) {
+      flushMd();
+      code = { fence: open[1], lang: open[2], lines: [] };
+      afterBlank = false;
+      continue;
+    }
+
+    if (!line.trim()) {
+      afterBlank = true;
+      md?.lines.push(line);
+      continue;
+    }
+
+    const continuesList = md?.isList && LIST_ITEM_RE.test(line);
+    if (md && afterBlank && !/^\s/.test(line) && !continuesList) flushMd();
+    if (!md) md = { lines: [], isList: LIST_ITEM_RE.test(line) };
+    md.lines.push(line);
+    afterBlank = false;
+  }
+
+  flushMd();
+  // an unterminated fence is still streaming in
+  if (code) {
+    blocks.push({ type: "code", lang: code.lang, code: code.lines.join("\n"), closed: false });
+  }
+  return blocks;
+}
+
+// One Marked instance per source count, since [n] markers are only linked
+// when a matching source exists.
+const parsers = new Map();
+
+function getParser(sourceCount) {
+  if (parsers.has(sourceCount)) return parsers.get(sourceCount);
+  const parser = new Marked({ gfm: true, breaks: true });
+  parser.use({
+    extensions: [
+      {
+        name: "citation",
+        level: "inline",
+        start: (src) => src.match(/\[\d/)?.index,
+        tokenizer(src) {
+          const m = /^\[(\d{1,3})\](?![([])/.exec(src);
+          if (!m) return undefined;
+          const n = Number(m[1]);
+          if (n < 1 || n > sourceCount) return undefined;
+          return { type: "citation", raw: m[0], n };
+        },
+        renderer: (token) =>
+          `<a href="#" class="citation-marker" data-cite="${token.n}">[${token.n}]</a>`,
+      },
+    ],
+  });
+  parsers.set(sourceCount, parser);
+  return parser;
+}
+
+// Open external links in a new tab without handing them window.opener
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && /^https?:/i.test(node.getAttribute("href") || "")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+/**
+ * Render one markdown block to sanitized HTML. Raw HTML in model output is
+ * passed through DOMPurify, so scripts / event handlers never reach the DOM.
+ */
+export function renderMarkdown(text, sourceCount = 0) {
+  const html = getParser(sourceCount).parse(text || "");
+  return DOMPurify.sanitize(html, { ADD_ATTR: ["target", "data-cite"] });
+}
+
+/**
+ * Markdown reduced to plain text for screen-reader announcements: code
+ * blocks become "(code block)", links keep their text, and markup and
+ * citation markers ([1]) are dropped.
+ */
+export function toPlainText(text) {
+  return splitBlocks(text)
+    .map((block) =>
+      block.type === "code"
+        ? "(code block)"
+        : block.text
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+            .replace(/\s*\[\d+\]/g, "")
+            .replace(/^\s*(?:#{1,6}|>|[-*+]|\d+[.)])\s+/gm, "")
+            .replace(/[*_`~]+/g, "")
+    )
+    .join("\n")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
@@ -0,0 +1,73 @@
+// src/utils/searchIndex.js
+
+/**
+ * Minimal in-memory full-text index over chat messages.
+ * Docs: { sessionId, messageId, role, text, ts }.
+ * Query terms are AND-ed; each term matches any indexed word it prefixes,
+ * so "retr" finds "retriever" and "retrieval".
+ */
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+export function tokenize(text) {
+  return (text || "").toLowerCase().match(WORD_RE) || [];
+}
+
+export function buildIndex(docs) {
+  const postings = new Map(); // word -> Set<doc index>
+  docs.forEach((doc, i) => {
+    for (const word of new Set(tokenize(doc.text))) {
+      if (!postings.has(word)) postings.set(word, new Set());
+      postings.get(word).add(i);
+    }
+  });
+  return { docs, postings };
+}
+
+export function searchIndex(index, query, limit = 50) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  let hits = null;
+  for (const term of terms) {
+    const matches = new Set();
+    for (const [word, ids] of index.postings) {
+      if (word.startsWith(term)) ids.forEach((id) => matches.add(id));
+    }
+    hits = hits ? new Set([...hits].filter((id) => matches.has(id))) : matches;
+    if (hits.size === 0) return [];
+  }
+
+  return [...hits]
+    .map((i) => index.docs[i])
+    .sort((a, b) => (b.ts || 0) - (a.ts || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Cut a snippet of `text` around the first query match and split it into
+ * { text, match } segments for highlighting.
+ */
+export function snippetSegments(text, query, radius = 60) {
+  const terms = [...new Set(tokenize(query))];
+  const lower = (text || "").toLowerCase();
+  let first = -1;
+  for (const t of terms) {
+    const at = lower.indexOf(t);
+    if (at !== -1 && (first === -1 || at < first)) first = at;
+  }
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, (first === -1 ? 0 : first) + radius * 2);
+  const slice = text.slice(start, end).replace(/\s+/g, " ");
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  if (terms.length === 0) return [{ text: prefix + slice + suffix, match: false }];
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = slice.split(new RegExp(`(${escaped.join("|")})`, "gi"));
+  const segments = parts
+    .filter(Boolean)
+    .map((p) => ({ text: p, match: terms.includes(p.toLowerCase()) }));
+  if (prefix) segments.unshift({ text: prefix, match: false });
+  if (suffix) segments.push({ text: suffix, match: false });
+  return segments;
+}
@@ -0,0 +1,81 @@
+// src/utils/telemetry.js
+
+/**
+ * Per-answer telemetry, recorded by store/chatActions.js:
+ *   { sentAt, firstTokenMs, durationMs, chunks, chars, charsPerSec, server }
+ * `server` holds the numeric timing / usage fields the done payload carried,
+ * flattened to { "timing.retrievalMs": 120, "usage.totalTokens": 512, ... }.
+ */
+const SERVER_GROUPS = ["timing", "timings", "usage", "metrics"];
+
+export function serverMetrics(done) {
+  const out = {};
+  if (!done || typeof done !== "object") return out;
+  for (const group of SERVER_GROUPS) {
+    const value = done[group];
+    if (!value || typeof value !== "object") continue;
+    for (const [key, v] of Object.entries(value)) {
+      if (typeof v === "number" && Number.isFinite(v)) out[`${group}.${key}`] = v;
+    }
+  }
+  return out;
+}
+
+// Wraps one request; call chunk() per message event and finish() at the end
+export function createRecorder() {
+  const sentAt = Date.now();
+  const start = performance.now();
+  let firstAt = null;
+  let chunks = 0;
+  let chars = 0;
+
+  return {
+    chunk(text = "") {
+      if (firstAt === null) firstAt = performance.now();
+      chunks += 1;
+      chars += text.length;
+    },
+    finish(done) {
+      const end = performance.now();
+      const streamMs = firstAt === null ? 0 : end - firstAt;
+      return {
+        sentAt,
+        firstTokenMs: firstAt === null ? null : Math.round(firstAt - start),
+        durationMs: Math.round(end - start),
+        chunks,
+        chars,
+        charsPerSec: streamMs > 0 ? Math.round((chars * 1000) / streamMs) : null,
+        server: serverMetrics(done),
+      };
+    },
+  };
+}
+
+export function formatMs(ms) {
+  if (ms == null) return "—";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// { count, [field]: { avg, p50, p95 } } over the metrics of several answers
+export function summarize(list, fields = ["firstTokenMs", "durationMs", "charsPerSec"]) {
+  const summary = { count: list.length };
+  for (const field of fields) {
+    const values = list
+      .map((m) => m[field])
+      .filter((v) => typeof v === "number")
+      .sort((a, b) => a - b);
+    summary[field] = values.length
+      ? {
+          avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+          p50: percentile(values, 50),
+          p95: percentile(values, 95),
+        }
+      : null;
+  }
+  return summary;
+}
@@ -0,0 +1,67 @@
+// src/utils/templates.js
+
+/**
+ * Prompt templates: { id, name, text } where `text` may contain
+ * {{variables}} that are filled in before the prompt is sent. Templates are
+ * shared as JSON files in the format below.
+ */
+export const TEMPLATES_FORMAT = "voosh-prompt-templates";
+export const TEMPLATES_VERSION = 1;
+
+const VARIABLE_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Variable names in order of first use, without repeats
+export function templateVariables(text) {
+  const names = [];
+  for (const [, name] of (text || "").matchAll(VARIABLE_RE)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Replace every {{name}} with values[name]; missing values stay as written
+export function fillTemplate(text, values) {
+  return (text || "").replace(VARIABLE_RE, (match, name) =>
+    values[name] ? values[name] : match
+  );
+}
+
+export function toTemplatesJSON(templates) {
+  return JSON.stringify(
+    {
+      format: TEMPLATES_FORMAT,
+      version: TEMPLATES_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates: templates.map((t) => ({ name: t.name, text: t.text })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Validate a shared templates file. Returns [{ name, text }] or throws an
+ * Error with a message suitable for the UI.
+ */
+export function parseTemplates(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file");
+  }
+  if (data?.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error("Not a prompt templates file");
+  }
+  if (data.version > TEMPLATES_VERSION) {
+    throw new Error("This file was made by a newer version of the app");
+  }
+  const templates = data.templates
+    .filter((t) => t && typeof t.text === "string" && t.text.trim())
+    .map((t) => ({
+      name: String(t.name || "").trim().slice(0, 80) || "Untitled template",
+      text: t.text,
+    }));
+  if (!templates.length) throw new Error("The file has no templates");
+  return templates;
+}
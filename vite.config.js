@@ -13,4 +13,10 @@ export default defineConfig({
   '/api': { target: 'http://localhost:4000', changeOrigin: true, secure: false },
 }
   },
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    // streams run against the mock backend in real time
+    testTimeout: 15000,
+  },
 });